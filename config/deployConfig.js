@@ -0,0 +1,83 @@
+const fs = require('fs')
+const path = require('path')
+const truffleConfig = require('../truffle.js')
+
+// config.json read by the dapp and the server
+const CONFIG_FILES = [
+  path.join(__dirname, '../src/dapp/config.json'),
+  path.join(__dirname, '../src/server/config.json'),
+]
+
+// truffle `development` network keeps its `localhost` entry
+const configKey = network => (network === 'development' ? 'localhost' : network)
+
+const readConfig = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'))
+  } catch (e) {
+    return {}
+  }
+}
+
+// networks with a provider (e.g. HDWalletProvider) should set `url` and `wsUrl` in truffle.js
+const networkUrls = (network) => {
+  const networkConfig = truffleConfig.networks[network] || {}
+  const url = networkConfig.url || `http://${networkConfig.host || 'localhost'}:${networkConfig.port || 8545}`
+  return {
+    url,
+    wsUrl: networkConfig.wsUrl || url.replace(/^http/, 'ws'),
+  }
+}
+
+const sendRpc = (web3, method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send({
+    jsonrpc: '2.0',
+    id: Date.now(),
+    method,
+    params,
+  }, (error, response) => {
+    if (error || response.error) {
+      reject(error || new Error(response.error.message))
+      return
+    }
+    resolve(response.result)
+  })
+})
+
+const getChainId = async (web3) => {
+  try {
+    return parseInt(await sendRpc(web3, 'eth_chainId'), 16)
+  } catch (e) {
+    // old nodes do not know eth_chainId, network id is the closest we have
+    return Number(await web3.eth.net.getId())
+  }
+}
+
+const getDeploymentBlock = async (web3, transactionHash) => {
+  const receipt = await web3.eth.getTransactionReceipt(transactionHash)
+  return receipt.blockNumber
+}
+
+const loadNetworkConfig = (network) => {
+  const [file] = CONFIG_FILES
+  return readConfig(file)[configKey(network)] || null
+}
+
+// merge the entry of a network into every config.json, other networks are kept
+const saveNetworkConfig = (network, entry) => {
+  const key = configKey(network)
+  CONFIG_FILES.forEach((file) => {
+    const config = readConfig(file)
+    config[key] = {...config[key], ...entry}
+    fs.writeFileSync(file, JSON.stringify(config, null, '\t'), 'utf-8')
+  })
+}
+
+module.exports = {
+  configKey,
+  networkUrls,
+  getChainId,
+  getDeploymentBlock,
+  loadNetworkConfig,
+  saveNetworkConfig,
+}
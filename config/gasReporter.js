@@ -0,0 +1,171 @@
+const fs = require('fs')
+const path = require('path')
+
+// budgets are maintained by hand, the baseline is rewritten by `npm run test:gas-baseline`
+// the baseline keeps the median gas of each function per test file, so running a single file compares the same calls,
+// medians ignore the few calls made much more expensive by random oracle indexes,
+// functions in `regressionExclude` still have a budget but no baseline check, their median depends on the block hashes of the run:
+// registerOracle retries generateIndexes until its indexes differ, on a chain younger than 256 blocks a retry can run
+// until the nonce wraps around, its budget covers both index loops doing so,
+// submitOracleResponse costs more for an oracle's first response and the responders follow the random request index
+const BUDGETS_FILE = path.join(__dirname, 'gasBudgets.json')
+const BASELINE_FILE = path.join(__dirname, 'gasBaseline.json')
+const REPORT_FILE = path.join(__dirname, '..', 'build', 'gas-report.json')
+
+// gas used by every transaction of the tracked contracts, by test file and `Contract.function`
+const usage = {}
+
+const readJson = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {})
+
+const record = (suite, name, gasUsed) => {
+  usage[suite] = usage[suite] || {}
+  usage[suite][name] = (usage[suite][name] || []).concat(gasUsed)
+}
+
+// wrap the transaction functions of a truffle contract instance, `call` and the other helpers are kept
+const trackContract = (instance, suite) => {
+  const contractName = instance.constructor.contractName
+  instance.abi
+    .filter(item => item.type === 'function' && !item.constant)
+    .forEach(({name}) => {
+      const send = instance[name]
+      const tracked = (...args) => send(...args).then((result) => {
+        record(suite, `${contractName}.${name}`, result.receipt.gasUsed)
+        return result
+      })
+      // eslint-disable-next-line no-param-reassign
+      instance[name] = Object.assign(tracked, send)
+    })
+  return instance
+}
+
+/**
+* Record the gas used by the transactions sent through the contracts of a test config
+* @param {Object} config from testConfig.js, its contract instances are changed in place
+* @param {String} suite name of the test file, the key of its baseline
+*/
+const trackGas = (config, suite) => {
+  trackContract(config.flightSuretyApp, suite)
+  trackContract(config.flightSuretyData, suite)
+  return config
+}
+
+const costOf = (gas, gasPriceGwei) => web3.utils.fromWei(
+  web3.utils.toBN(web3.utils.toWei(String(gasPriceGwei), 'gwei')).muln(gas),
+)
+
+const medianOf = (gas) => {
+  const sorted = [...gas].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+}
+
+// median of each function in each test file against its baseline
+const compareSuites = baseline => Object.keys(usage).sort().reduce((suites, suite) => ({
+  ...suites,
+  [suite]: Object.keys(usage[suite]).sort().reduce((functions, name) => {
+    const median = medianOf(usage[suite][name])
+    const base = (baseline[suite] || {})[name] || null
+    return {
+      ...functions,
+      [name]: {
+        median,
+        baseline: base,
+        change: base ? Math.round((median - base) / base * 1000) / 10 : null,
+      },
+    }
+  }, {}),
+}), {})
+
+// every call of each function over all the test files, with its largest change against a baseline
+const summarize = ({gasPriceGwei, budgets}, suites) => {
+  const calls = Object.keys(usage).reduce((all, suite) => Object.keys(usage[suite]).reduce((byName, name) => ({
+    ...byName,
+    [name]: (byName[name] || []).concat(usage[suite][name]),
+  }), all), {})
+  return Object.keys(calls).sort().reduce((summary, name) => {
+    const gas = calls[name]
+    const avg = Math.round(gas.reduce((sum, used) => sum + used, 0) / gas.length)
+    const changes = Object.keys(suites)
+      .map(suite => suites[suite][name] && suites[suite][name].change)
+      .filter(change => change !== undefined && change !== null)
+    return {
+      ...summary,
+      [name]: {
+        calls: gas.length,
+        min: Math.min(...gas),
+        max: Math.max(...gas),
+        avg,
+        median: medianOf(gas),
+        cost: costOf(avg, gasPriceGwei),
+        budget: budgets[name] || null,
+        change: changes.length > 0 ? Math.max(...changes) : null,
+      },
+    }
+  }, {})
+}
+
+const checkLimits = (functions, suites, {regressionPercent, regressionExclude}) => {
+  const failures = []
+  Object.keys(functions).forEach((name) => {
+    const {max, budget} = functions[name]
+    if (budget && max > budget) {
+      failures.push(`${name} used ${max} gas, over its budget of ${budget}`)
+    }
+  })
+  Object.keys(suites).forEach((suite) => {
+    Object.keys(suites[suite]).filter(name => !regressionExclude.includes(name)).forEach((name) => {
+      const {change} = suites[suite][name]
+      if (change !== null && change > regressionPercent) {
+        failures.push(`${name} median gas in ${suite} regressed by ${change}%, more than ${regressionPercent}% over the baseline`)
+      }
+    })
+  })
+  return failures
+}
+
+const printTable = (functions, {gasPriceGwei}) => {
+  const header = ['Function', 'Calls', 'Min', 'Max', 'Avg', 'Median', 'Budget', 'Change', `Avg cost at ${gasPriceGwei} gwei`]
+  const rows = Object.keys(functions).map((name) => {
+    const {calls, min, max, avg, median, budget, change, cost} = functions[name]
+    return [name, calls, min, max, avg, median, budget || '-', change === null ? '-' : `${change}%`, `${cost} ether`]
+      .map(String)
+  })
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)))
+  const line = cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')
+  console.log(`\n  Gas usage\n\n  ${line(header)}\n${rows.map(row => `  ${line(row)}`).join('\n')}\n`)
+}
+
+const report = () => {
+  const settings = {gasPriceGwei: 20, regressionPercent: 10, regressionExclude: [], budgets: {}, ...readJson(BUDGETS_FILE)}
+  const baseline = readJson(BASELINE_FILE)
+  const suites = compareSuites(baseline)
+  const functions = summarize(settings, suites)
+  printTable(functions, settings)
+
+  // test files left out of the run keep their baseline
+  const updateBaseline = process.env.GAS_BASELINE === 'update'
+  if (updateBaseline) {
+    const medians = Object.keys(suites).reduce((all, suite) => ({
+      ...all,
+      [suite]: Object.keys(suites[suite]).reduce((byName, name) => ({...byName, [name]: suites[suite][name].median}), {}),
+    }), baseline)
+    const sorted = Object.keys(medians).sort().reduce((all, suite) => ({...all, [suite]: medians[suite]}), {})
+    fs.writeFileSync(BASELINE_FILE, `${JSON.stringify(sorted, null, 2)}\n`)
+    console.log(`  Gas baseline written to ${path.relative(process.cwd(), BASELINE_FILE)}\n`)
+  }
+
+  const failures = checkLimits(functions, suites, updateBaseline ? {...settings, regressionPercent: Infinity} : settings)
+  fs.mkdirSync(path.dirname(REPORT_FILE), {recursive: true})
+  fs.writeFileSync(REPORT_FILE, `${JSON.stringify({...settings, functions, suites, failures}, null, 2)}\n`)
+  if (failures.length > 0) {
+    throw new Error(`Gas limits exceeded:\n${failures.join('\n')}`)
+  }
+}
+
+// a single report after all the test files, the module is loaded once for the whole run
+after('gas report', report)
+
+module.exports = {
+  trackGas,
+}
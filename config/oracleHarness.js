@@ -0,0 +1,178 @@
+// Same as MIN_RESPONSES in FlightSuretyApp
+const MIN_RESPONSES = 3
+
+// Requests before giving up on enough oracles matching the index, a matching invited oracle is about a 1 in 3 chance
+const MAX_REQUEST_ATTEMPTS = 20
+
+const STATUS_CODE_UNKNOWN = 0
+const STATUS_CODE_ON_TIME = 10
+const STATUS_CODE_LATE_AIRLINE = 20
+const STATUS_CODE_LATE_WEATHER = 30
+const STATUS_CODE_LATE_TECHNICAL = 40
+const STATUS_CODE_LATE_OTHER = 50
+
+const eventsOf = (logs, name) => logs.filter(log => log.event === name)
+
+const expectRevert = async (promise, reason) => {
+  try {
+    await promise
+  } catch (e) {
+    assert.include(e.message, reason, 'Unexpected revert reason')
+    return
+  }
+  assert.fail(`Expected revert: ${reason}`)
+}
+
+// Register test accounts as oracles and drive the oracle requests of flights, asserting the events they emit
+class OracleHarness {
+  constructor(config) {
+    this.flightSuretyApp = config.flightSuretyApp
+    this.flightSuretyData = config.flightSuretyData
+    this.oracles = []
+  }
+
+  async register(addresses) {
+    const fee = await this.flightSuretyApp.REGISTRATION_FEE.call()
+    const oracles = await Promise.all(addresses.map(async (address) => {
+      await this.flightSuretyApp.registerOracle({from: address, value: fee})
+      const indexes = await this.flightSuretyApp.getMyIndexes.call({from: address})
+      return {address, indexes: indexes.map(Number)}
+    }))
+    this.oracles.push(...oracles)
+    return oracles
+  }
+
+  // refund the stakes once the last request no longer locks them
+  async unregister() {
+    await this.expireRequest()
+    await Promise.all(this.oracles.map(({address}) => this.flightSuretyApp.unregisterOracle({from: address})))
+    this.oracles = []
+  }
+
+  matching(index) {
+    return this.oracles.filter(oracle => oracle.indexes.includes(index))
+  }
+
+  // oracles which cannot answer a request of this index
+  uninvited(index) {
+    return this.oracles.filter(oracle => !oracle.indexes.includes(index))
+  }
+
+  mineBlock() {
+    return new Promise((resolve, reject) => {
+      web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_mine', id: Date.now()}, error => (error ? reject(error) : resolve()))
+    })
+  }
+
+  async mineBlocks(count) {
+    for (let i = 0; i < count; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.mineBlock()
+    }
+  }
+
+  async expireRequest() {
+    const timeout = await this.flightSuretyApp.getOracleRequestTimeout()
+    await this.mineBlocks(Number(timeout))
+  }
+
+  /**
+  * Request the status of a flight until at least `responders` registered oracles match the request index,
+  * and `invited` among them when given
+  * @return {Object} {index, oracles, logs, fromBlock}, oracles are the ones matching the index, `invited` first
+  * @throws after MAX_REQUEST_ATTEMPTS requests without enough matching oracles
+  */
+  async request({airline, flightCode, timestamp}, responders = MIN_RESPONSES, invited = null) {
+    for (let attempt = 0; attempt < MAX_REQUEST_ATTEMPTS; attempt += 1) {
+      // a new request is only accepted once the previous one expired
+      // eslint-disable-next-line no-await-in-loop
+      if (attempt > 0) await this.expireRequest()
+      // eslint-disable-next-line no-await-in-loop
+      const fromBlock = await web3.eth.getBlockNumber()
+      // eslint-disable-next-line no-await-in-loop
+      const {logs} = await this.flightSuretyApp.fetchFlightStatus(airline, flightCode, timestamp)
+      const [requestEvent] = eventsOf(logs, 'OracleRequest')
+      assert.equal(requestEvent.args.flight, flightCode, 'OracleRequest should have the flight')
+      const index = Number(requestEvent.args.index)
+      const oracles = this.matching(index)
+      const isInvited = !invited || oracles.some(oracle => oracle.address === invited.address)
+      if (invited && isInvited) {
+        oracles.sort((a, b) => (b.address === invited.address) - (a.address === invited.address))
+      }
+      if (oracles.length >= responders && isInvited) {
+        return {flight: {airline, flightCode, timestamp}, index, oracles, logs, fromBlock}
+      }
+    }
+    const wanted = invited ? `${responders} including ${invited.address}` : `${responders}`
+    throw new Error(`No request of flight ${flightCode} matched ${wanted} of the ${this.oracles.length} registered oracles `
+      + `in ${MAX_REQUEST_ATTEMPTS} attempts, register more oracles or ask for fewer responders`)
+  }
+
+  respond(request, oracle, statusCode) {
+    const {airline, flightCode, timestamp} = request.flight
+    return this.flightSuretyApp.submitOracleResponse(request.index, airline, flightCode, timestamp, statusCode, {from: oracle.address})
+  }
+
+  /**
+  * Answer the request with statusCodes[i] from the i-th matching oracle
+  * Asserts every response is reported and FlightStatusInfo is emitted by the MIN_RESPONSES-th identical status only
+  * @return {Number|undefined} the verified status code
+  */
+  async submitResponses(request, statusCodes) {
+    assert.isAtMost(statusCodes.length, request.oracles.length, 'Not enough matching oracles for the responses')
+    const tally = {}
+    let verifiedStatus
+    for (let i = 0; i < statusCodes.length; i += 1) {
+      const statusCode = statusCodes[i]
+      // eslint-disable-next-line no-await-in-loop
+      const {logs} = await this.respond(request, request.oracles[i], statusCode)
+      tally[statusCode] = (tally[statusCode] || 0) + 1
+
+      const reports = eventsOf(logs, 'OracleReport')
+      assert.equal(reports.length, 1, 'Every response should emit OracleReport')
+      assert.equal(reports[0].args.flight, request.flight.flightCode, 'OracleReport should have the flight')
+      assert.equal(Number(reports[0].args.status), statusCode, 'OracleReport should have the reported status')
+
+      const statusInfos = eventsOf(logs, 'FlightStatusInfo')
+      if (tally[statusCode] === MIN_RESPONSES) {
+        assert.equal(statusInfos.length, 1, `FlightStatusInfo should be emitted by response ${i + 1}`)
+        assert.equal(statusInfos[0].args.flight, request.flight.flightCode, 'FlightStatusInfo should have the flight')
+        assert.equal(Number(statusInfos[0].args.status), statusCode, 'FlightStatusInfo should have the agreed status')
+        verifiedStatus = statusCode
+      } else {
+        assert.equal(statusInfos.length, 0, `FlightStatusInfo should not be emitted by response ${i + 1}`)
+      }
+    }
+    return verifiedStatus
+  }
+
+  // request the status of a flight and answer it with MIN_RESPONSES identical responses
+  async resolve(flight, statusCode) {
+    const request = await this.request(flight)
+    await this.submitResponses(request, Array(MIN_RESPONSES).fill(statusCode))
+    return request
+  }
+
+  async assertRequestOpen({airline, flightCode, timestamp}, expected) {
+    const {isOpen} = await this.flightSuretyApp.getOracleRequest(airline, flightCode, timestamp)
+    assert.equal(isOpen, expected, `Request should be ${expected ? 'open' : 'closed'}`)
+  }
+
+  async assertFlightStatus({airline, flightCode, timestamp}, expected) {
+    const statusCode = await this.flightSuretyData.getFlightStatus(airline, flightCode, timestamp, {from: this.flightSuretyApp.address})
+    assert.equal(Number(statusCode), expected, 'Unexpected flight status')
+  }
+}
+
+module.exports = {
+  MIN_RESPONSES,
+  MAX_REQUEST_ATTEMPTS,
+  STATUS_CODE_UNKNOWN,
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_AIRLINE,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  STATUS_CODE_LATE_OTHER,
+  OracleHarness,
+  expectRevert,
+}
@@ -0,0 +1,58 @@
+// Swap the FlightSuretyApp allowed to call FlightSuretyData, the data contract and its state stay in place
+
+// the new app reads through the data contract, which fails unless it is authorized
+const smokeTest = async (flightSuretyApp, flightSuretyData) => {
+  if (!await flightSuretyData.isAuthorizeContracts(flightSuretyApp.address)) {
+    throw new Error('app is not authorized on the data contract')
+  }
+  if (!await flightSuretyData.isOperational()) {
+    throw new Error('data contract is not operational')
+  }
+  await flightSuretyApp.getAirlineStatus(flightSuretyApp.address)
+}
+
+// oracle stakes are held by the app and cannot move to the new one, the oracles withdraw them first
+const requireNoOracles = async (oldApp) => {
+  const count = Number(await oldApp.getRegisteredOracleCount())
+  if (count > 0) {
+    throw new Error(`${count} oracles are still registered on FlightSuretyApp ${oldApp.address}, `
+      + 'they must call unregisterOracle() to withdraw their stake before the upgrade')
+  }
+}
+
+/**
+* @param {Object} flightSuretyData deployed data contract
+* @param {Object|null} oldApp app to replace, its oracle request timeout and payout rates are carried over
+* @param {Function} deployApp deploys a FlightSuretyApp for a data address and resolves the contract
+* @return {Object} the new app, the old one is left authorized when the new one fails the smoke test
+* @throws before deploying anything while oracles are registered on the old app
+*/
+const upgradeApp = async ({flightSuretyData, oldApp, deployApp}) => {
+  if (oldApp) await requireNoOracles(oldApp)
+  const newApp = await deployApp(flightSuretyData.address)
+  await flightSuretyData.authorizeContracts(newApp.address)
+  try {
+    if (oldApp) {
+      await newApp.setOracleRequestTimeout(await oldApp.getOracleRequestTimeout())
+      // the old app lists its delay status codes, so the carry-over follows the contract
+      const {statusCodes, rates} = await oldApp.getPayoutRates()
+      for (let i = 0; i < statusCodes.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await newApp.setPayoutRate(statusCodes[i], rates[i])
+      }
+    }
+    await smokeTest(newApp, flightSuretyData)
+  } catch (error) {
+    await flightSuretyData.unauthorizeContracts(newApp.address)
+    throw new Error(`FlightSuretyApp ${newApp.address} failed the smoke test: ${error.message}`)
+  }
+  if (oldApp && oldApp.address !== newApp.address) {
+    await flightSuretyData.unauthorizeContracts(oldApp.address)
+  }
+  return newApp
+}
+
+module.exports = {
+  smokeTest,
+  upgradeApp,
+}
@@ -24,21 +24,34 @@ contract FlightSuretyApp {
     uint8 constant CONSENSUS_THRESHOLD = 4;
     uint8 constant MULTI_PART_CONSENSUS_RATE = 2;
     uint constant JOIN_FEE = 10 ether;
-    uint constant MAX_INSURANCE_AMOUNT = 1 ether;
-    uint constant PAYOUT_RATE = 150;
-
-    // Flight status codees
-    enum FlightStatusCode {
-        Unknow,         // 0
-        OnTime,         // 1
-        LateAirline,    // 2
-        LateWeather,    // 3
-        LateTechnical,  // 4
-        LateOther       // 5
-    }
+    uint public constant MAX_INSURANCE_AMOUNT = 1 ether;
+    // payouts are a percentage of the premium, up to 3 times the premium
+    uint constant MAX_PAYOUT_RATE = 300;
+    // insurees credited by the oracle response that reaches consensus, creditInsurees continues with the rest
+    uint constant CREDIT_BATCH_SIZE = 10;
+    // pausing or resuming needs the votes of half of the funded airlines, rounded up, only they can vote
+    uint8 constant OPERATING_STATUS_VOTE_RATE = 2;
+
+    // Flight status codes, reported by the oracles
+    uint8 private constant STATUS_CODE_UNKNOWN = 0;
+    uint8 private constant STATUS_CODE_ON_TIME = 10;
+    uint8 private constant STATUS_CODE_LATE_AIRLINE = 20;
+    uint8 private constant STATUS_CODE_LATE_WEATHER = 30;
+    uint8 private constant STATUS_CODE_LATE_TECHNICAL = 40;
+    uint8 private constant STATUS_CODE_LATE_OTHER = 50;
 
     address private contractOwner;          // Account used to deploy contract
 
+    // Payout rate of each status code, percentage of the premium credited to the insurees
+    // Late airline flights always pay out, on time or unknown flights never do
+    mapping(uint8 => uint256) private payoutRates;
+
+    // Operating status votes of the funded airlines, a new round starts whenever the voted mode changes
+    uint256 private operatingStatusRound = 0;
+    bool private operatingStatusVoteMode;
+    uint256 private operatingStatusVotes = 0;
+    mapping(uint256 => mapping(address => bool)) private operatingStatusVoters;
+
     // struct Flight {
     //     bool isRegistered;
     //     uint8 statusCode;
@@ -61,28 +74,52 @@ contract FlightSuretyApp {
     // Number of oracles that must respond for valid status
     uint256 private constant MIN_RESPONSES = 3;
 
+    // Number of blocks oracles have to respond before a request expires
+    uint256 private oracleRequestTimeout = 20;
+
+    // Oracles disagreeing with the consensus this many times in a row lose ORACLE_SLASH_RATE percent of their stake
+    uint256 private constant ORACLE_STRIKE_LIMIT = 3;
+    uint256 private constant ORACLE_SLASH_RATE = 25;
+    // Oracles whose stake falls below it are suspended for good, they can only unregister to get the rest of their stake back
+    uint256 private constant MIN_ORACLE_STAKE = REGISTRATION_FEE / 2;
 
     struct Oracle {
         bool isRegistered;
+        bool isSuspended;
         uint8[3] indexes;
+        uint256 stake;                                  // Registration fee, less the slashed amounts
+        uint256 agreements;                             // Responses matching the consensus status
+        uint256 disagreements;
+        uint256 strikes;                                // Disagreements since the last agreement or slash
+        uint256 slashed;
+        uint256 lockedUntil;                            // Expiry of the last request responded to
     }
 
     // Track all registered oracles
     mapping(address => Oracle) private oracles;
 
+    // Oracles holding a stake, an upgrade waits for them to unregister
+    uint256 private registeredOracleCount = 0;
+
     // Model for responses from oracles
     struct ResponseInfo {
         address requester;                              // Account that requested status
         bool isOpen;                                    // If open, oracle responses are accepted
+        uint8 index;                                    // Index of the oracles invited to respond
+        uint256 expiresAt;                              // Last block accepting responses
+        mapping(address => bool) hasResponded;          // Each oracle responds once
         mapping(uint8 => address[]) responses;          // Mapping key is the status code reported
                                                         // This lets us group responses and identify
                                                         // the response that majority of the oracles
     }
 
     // Track all oracle responses
-    // Key = hash(index, flight, timestamp)
+    // Key = hash(index, flight, timestamp, block number of the request)
     mapping(bytes32 => ResponseInfo) private oracleResponses;
 
+    // Latest request of each flight, key = hash(airline, flight, timestamp)
+    mapping(bytes32 => bytes32) private flightRequests;
+
     /********************************************************************************************/
     /*                                       EVENT DEFINITIONS                                  */
     /********************************************************************************************/
@@ -99,6 +136,24 @@ contract FlightSuretyApp {
     // they fetch data and submit a response
     event OracleRequest(uint8 index, address airline, string flight, uint256 timestamp);
 
+    // Event fired when a request is closed without consensus
+    event OracleRequestExpired(uint8 index, address airline, string flight, uint256 timestamp);
+
+    event OracleRegistered(address oracle, uint256 stake);
+
+    event OracleUnregistered(address oracle, uint256 refund);
+
+    // Event fired for each responder once a request reaches consensus
+    event OracleScored(address oracle, bool agreed, uint256 agreements, uint256 disagreements);
+
+    event OracleSlashed(address oracle, uint256 amount, uint256 stake);
+
+    event OracleSuspended(address oracle);
+
+    event OperatingStatusVoted(address airline, bool mode, uint256 votes, uint256 requiredVotes);
+
+    event PayoutRateChanged(uint8 statusCode, uint256 rate);
+
     /********************************************************************************************/
     /*                                       FUNCTION MODIFIERS                                 */
     /********************************************************************************************/
@@ -112,8 +167,7 @@ contract FlightSuretyApp {
     *      the event there is an issue that needs to be fixed
     */
     modifier requireIsOperational() {
-         // Modify to call data contract's status
-        require(true, "Contract is currently not operational");
+        require(isOperational(), "Contract is currently not operational");
         _;  // All modifiers require an "_" which indicates where the function body will be added
     }
 
@@ -136,6 +190,7 @@ contract FlightSuretyApp {
     constructor(address dataContract) public {
         contractOwner = msg.sender;
         flightSuretyData = FlightSuretyData(dataContract);
+        setPayoutRateOf(STATUS_CODE_LATE_AIRLINE, 150);
     }
 
     /********************************************************************************************/
@@ -146,12 +201,12 @@ contract FlightSuretyApp {
     * @dev Add an airline to the registration queue
     *
     */
-    function registerAirline(address newAirline) external returns(bool success, uint256 votes) {
+    function registerAirline(address newAirline) external requireIsOperational returns(bool success, uint256 votes) {
         uint256 registeredAirlineCount = flightSuretyData.getRegisteredAirlineCount();
         success = false;
         if (registeredAirlineCount >= CONSENSUS_THRESHOLD) {
             votes = flightSuretyData.voteForNewAirline(newAirline, msg.sender);
-            if (votes >= (registeredAirlineCount / MULTI_PART_CONSENSUS_RATE)) {
+            if (votes >= getRequiredVotes(registeredAirlineCount)) {
                 flightSuretyData.registerAirline(newAirline, msg.sender);
                 success = true;
             }
@@ -163,7 +218,63 @@ contract FlightSuretyApp {
         return (success, votes);
     }
 
-    function payFunding() external payable {
+    /**
+    * @dev Vote to pause (false) or resume (true) the contracts, one vote per funded airline
+    *      The data contract switches once half of the funded airlines, rounded up, voted
+    *
+    * @return Whether this vote switched the operating status, and the votes of the round
+    */
+    function voteOperatingStatus(bool mode) external returns(bool changed, uint256 votes) {
+        require(flightSuretyData.checkAirlineCanVote(msg.sender), "Caller is not a funded airline");
+        require(mode != isOperational(), "Operating status is already set");
+        if (mode != operatingStatusVoteMode) {
+            // votes for the other mode are stale, e.g. the owner switched the status meanwhile
+            startOperatingStatusRound(mode);
+        }
+        require(!operatingStatusVoters[operatingStatusRound][msg.sender], "Airline already voted");
+
+        operatingStatusVoters[operatingStatusRound][msg.sender] = true;
+        operatingStatusVotes = operatingStatusVotes.add(1);
+        votes = operatingStatusVotes;
+        uint256 requiredVotes = getOperatingStatusRequiredVotes();
+        emit OperatingStatusVoted(msg.sender, mode, votes, requiredVotes);
+
+        changed = votes >= requiredVotes;
+        if (changed) {
+            flightSuretyData.setOperatingStatus(mode);
+            startOperatingStatusRound(!mode);
+        }
+    }
+
+    /**
+    * @dev Votes for switching the current operating status
+    */
+    function getOperatingStatusVotes() external view
+    returns(bool operational, uint256 votes, uint256 requiredVotes)
+    {
+        operational = isOperational();
+        votes = operatingStatusVoteMode != operational ? operatingStatusVotes : 0;
+        requiredVotes = getOperatingStatusRequiredVotes();
+    }
+
+    function hasVotedOperatingStatus(address airline) external view returns(bool) {
+        return operatingStatusVoteMode != isOperational() && operatingStatusVoters[operatingStatusRound][airline];
+    }
+
+    /**
+    * @dev Registration and funding state of an airline, with the votes it has
+    *      and the votes needed when multiparty consensus applies (0 otherwise)
+    */
+    function getAirlineStatus(address airline) external view
+    returns(bool isRegistered, bool hasPaidFund, uint256 votes, uint256 requiredVotes)
+    {
+        isRegistered = flightSuretyData.checkAirlineIsRegisterd(airline);
+        hasPaidFund = flightSuretyData.checkAirlineIsPaidFund(airline);
+        votes = flightSuretyData.getAirlineVotes(airline);
+        requiredVotes = getRequiredVotes(flightSuretyData.getRegisteredAirlineCount());
+    }
+
+    function payFunding() external payable requireIsOperational {
         require(msg.value >= JOIN_FEE, "Not enough ether to pay");
         uint256 amountToReturn = msg.value - JOIN_FEE;
         flightSuretyData.airlinePaidFunding.value(JOIN_FEE)(msg.sender);
@@ -175,13 +286,25 @@ contract FlightSuretyApp {
     * @dev Register a future flight for insuring.
     *
     */
-    function registerFlight(string flightCode, uint256 timestamp) external {
+    function registerFlight(string flightCode, uint256 timestamp) external requireIsOperational {
         require(flightSuretyData.checkIsFlight(getFlightKey(msg.sender, flightCode, timestamp)) == false, "Flight already registered");
         flightSuretyData.registerFlight(flightCode, timestamp, msg.sender);
     }
 
     // Generate a request for oracles to fetch flight information
-    function fetchFlightStatus(address airline, string flight, uint256 timestamp) external {
+    // A flight has one open request at a time, an expired one is closed by the next request
+    // A verified status is final, a later consensus would overwrite it before every insuree is credited
+    function fetchFlightStatus(address airline, string flight, uint256 timestamp) external requireIsOperational {
+        bytes32 flightKey = getFlightKey(airline, flight, timestamp);
+        if (flightSuretyData.checkIsFlight(flightKey)) {
+            require(flightSuretyData.getFlightStatus(airline, flight, timestamp) == STATUS_CODE_UNKNOWN, "Flight status is already verified");
+        }
+        ResponseInfo storage pending = oracleResponses[flightRequests[flightKey]];
+        if (pending.isOpen) {
+            require(block.number > pending.expiresAt, "Flight status request is pending");
+            closeExpiredRequest(pending, airline, flight, timestamp);
+        }
+
         uint8 index = getRandomIndex(msg.sender);
 
         // Generate a unique key for storing the request
@@ -190,11 +313,15 @@ contract FlightSuretyApp {
             index,
             airline,
             flight,
-            timestamp));
+            timestamp,
+            block.number));
         oracleResponses[key] = ResponseInfo({
             requester: msg.sender,
-            isOpen: true
+            isOpen: true,
+            index: index,
+            expiresAt: block.number.add(oracleRequestTimeout)
         });
+        flightRequests[flightKey] = key;
 
         emit OracleRequest(
             index,
@@ -204,19 +331,8 @@ contract FlightSuretyApp {
         );
     }
 
-    function updateFlightStatus(string flightCode, uint256 timestamp, FlightStatusCode statusCode) external {
-        bytes32 flightKey = getFlightKey(msg.sender, flightCode, timestamp);
-        require(flightSuretyData.checkIsFlight(flightKey), "Flight code is not valid");
-        flightSuretyData.setFlightStatus(
-            flightCode,
-            timestamp,
-            uint8(statusCode),
-            msg.sender
-        );
-    }
-
     // -- Insurance
-    function addInsuranceBalance(uint256 addValue) external payable {
+    function addInsuranceBalance(uint256 addValue) external payable requireIsOperational {
         uint256 amountToReturn = msg.value - addValue;
         flightSuretyData.addInsuranceBalance.value(addValue)(msg.sender);
         msg.sender.transfer(amountToReturn);
@@ -228,12 +344,14 @@ contract FlightSuretyApp {
         string flightCode,
         uint256 timestamp,
         uint256 amountToPaid
-    ) external payable
+    ) external payable requireIsOperational
     {
         require(flightSuretyData.checkAirlineIsRegisterd(passenger) == false, "Airline cannot buy insurance");
         require(flightSuretyData.checkAirlineIsRegisterd(airline), "airline address incorrect");
         bytes32 flightKey = getFlightKey(airline, flightCode,  timestamp);
         require(flightSuretyData.checkIsFlight(flightKey), "Flight not exisit");
+        // a status already reported could be claimed right after buying
+        require(flightSuretyData.getFlightStatus(airline, flightCode, timestamp) == STATUS_CODE_UNKNOWN, "Flight status is already known");
         require(amountToPaid > 0, "Insurance amount must > 0");
         require(amountToPaid <= MAX_INSURANCE_AMOUNT, "Insurance amount is over the limit");
         require(msg.value >= amountToPaid, "Not enough ether to pay");
@@ -250,33 +368,149 @@ contract FlightSuretyApp {
     function insurancePayout(
         address airline,
         string flightCode,
-        uint256 timestamp) external
+        uint256 timestamp) external requireIsOperational
     {
         bytes32 flightKey = getFlightKey(airline, flightCode,  timestamp);
         // check flight state
-        uint8 flightStatus = flightSuretyData.getFlightStatus(airline, flightCode, timestamp);
-        require(flightStatus == 2, "Flight Status not appect for payout");
+        uint256 payoutRate = payoutRates[flightSuretyData.getFlightStatus(airline, flightCode, timestamp)];
+        require(payoutRate > 0, "Flight status does not allow a payout");
         // payout
-        flightSuretyData.insurancePayout(flightKey, PAYOUT_RATE, msg.sender);
+        flightSuretyData.insurancePayout(flightKey, payoutRate, msg.sender);
+    }
+
+    /**
+    * @dev Continue crediting the insurees of a flight with a delay that pays out,
+    *      when there were more than one batch of them or not enough insurance balance
+    *
+    * @return The number of insurees still waiting for their credit
+    */
+    function creditInsurees(address airline, string flightCode, uint256 timestamp) external requireIsOperational returns(uint256) {
+        uint256 payoutRate = payoutRates[flightSuretyData.getFlightStatus(airline, flightCode, timestamp)];
+        require(payoutRate > 0, "Flight status does not allow a payout");
+        return flightSuretyData.creditInsurees(getFlightKey(airline, flightCode, timestamp), payoutRate, CREDIT_BATCH_SIZE);
+    }
+
+    function getUncreditedInsureeCount(address airline, string flightCode, uint256 timestamp) external view returns(uint256) {
+        return flightSuretyData.getUncreditedInsureeCount(getFlightKey(airline, flightCode, timestamp));
+    }
+
+    /**
+    * @dev Set the payout rate of a delay, in percent of the premium
+    *      Credits made after the change use the new rate
+    */
+    function setPayoutRate(uint8 statusCode, uint256 rate) external requireContractOwner {
+        require(statusCode % 10 == 0 && statusCode >= STATUS_CODE_LATE_AIRLINE && statusCode <= STATUS_CODE_LATE_OTHER, "Only delays pay out");
+        require(statusCode != STATUS_CODE_LATE_AIRLINE || rate > 0, "Late airline flights must pay out");
+        require(rate <= MAX_PAYOUT_RATE, "Payout rate is over the limit");
+        setPayoutRateOf(statusCode, rate);
+    }
+
+    function getPayoutRate(uint8 statusCode) external view returns(uint256) {
+        return payoutRates[statusCode];
+    }
+
+    /**
+    * @dev The delay status codes which can pay out and their current rates,
+    *      clients and upgrades read them here instead of keeping their own list
+    */
+    function getPayoutRates() external view returns(uint8[4] statusCodes, uint256[4] rates) {
+        statusCodes = [STATUS_CODE_LATE_AIRLINE, STATUS_CODE_LATE_WEATHER, STATUS_CODE_LATE_TECHNICAL, STATUS_CODE_LATE_OTHER];
+        for (uint8 i = 0; i < statusCodes.length; i++) {
+            rates[i] = payoutRates[statusCodes[i]];
+        }
     }
 
-    function withdrawPassengerBalance(uint256 withdrawAmount) external payable {
+    function withdrawPassengerBalance(uint256 withdrawAmount) external payable requireIsOperational {
         flightSuretyData.withdrawPassengerBalance(withdrawAmount, msg.sender);
     }
 
     // -- Oracle
 
-    // Register an oracle with the contract
+    // Register an oracle with the contract, the fee is held as its stake
+    // The accuracy of an oracle is kept when it unregisters and registers again
     function registerOracle() external payable {
         // Require registration fee
         require(msg.value >= REGISTRATION_FEE, "Registration fee is required");
+        Oracle storage oracle = oracles[msg.sender];
+        require(!oracle.isRegistered, "Oracle already registered");
+        // suspension and strikes outlive unregistering, a new stake would otherwise wipe them
+        require(!oracle.isSuspended, "Oracle is suspended");
+
+        oracle.isRegistered = true;
+        oracle.indexes = generateIndexes(msg.sender);
+        oracle.stake = msg.value;
+        registeredOracleCount = registeredOracleCount.add(1);
+        emit OracleRegistered(msg.sender, msg.value);
+    }
 
-        uint8[3] memory indexes = generateIndexes(msg.sender);
+    /**
+    * @dev Refund the remaining stake of an oracle, once the requests it responded to expired
+    *      Not gated by the operating status, a paused contract must not hold the stakes
+    */
+    function unregisterOracle() external {
+        Oracle storage oracle = oracles[msg.sender];
+        require(oracle.isRegistered, "Not registered as an oracle");
+        require(block.number > oracle.lockedUntil, "Oracle stake is locked by a pending request");
+
+        uint256 refund = oracle.stake;
+        oracle.isRegistered = false;
+        oracle.stake = 0;
+        registeredOracleCount = registeredOracleCount.sub(1);
+        msg.sender.transfer(refund);
+        emit OracleUnregistered(msg.sender, refund);
+    }
 
-        oracles[msg.sender] = Oracle({
-            isRegistered: true,
-            indexes: indexes
-        });
+    function getRegisteredOracleCount() external view returns(uint256) {
+        return registeredOracleCount;
+    }
+
+    function getOracle(address account) external view
+    returns(
+        bool isRegistered,
+        bool isSuspended,
+        uint256 stake,
+        uint256 agreements,
+        uint256 disagreements,
+        uint256 strikes,
+        uint256 slashed
+    )
+    {
+        Oracle storage oracle = oracles[account];
+        return (
+            oracle.isRegistered,
+            oracle.isSuspended,
+            oracle.stake,
+            oracle.agreements,
+            oracle.disagreements,
+            oracle.strikes,
+            oracle.slashed
+        );
+    }
+
+    /**
+    * @dev Close the open request of a flight once no oracle can respond anymore
+    */
+    function expireOracleRequest(address airline, string flight, uint256 timestamp) external {
+        ResponseInfo storage request = oracleResponses[flightRequests[getFlightKey(airline, flight, timestamp)]];
+        require(request.isOpen, "No open request for the flight");
+        require(block.number > request.expiresAt, "Oracle request has not expired");
+        closeExpiredRequest(request, airline, flight, timestamp);
+    }
+
+    function getOracleRequest(address airline, string flight, uint256 timestamp) external view
+    returns(uint8 index, bool isOpen, uint256 expiresAt, address requester)
+    {
+        ResponseInfo storage request = oracleResponses[flightRequests[getFlightKey(airline, flight, timestamp)]];
+        return (request.index, request.isOpen, request.expiresAt, request.requester);
+    }
+
+    function setOracleRequestTimeout(uint256 blocks) external requireContractOwner {
+        require(blocks > 0, "Timeout must be at least 1 block");
+        oracleRequestTimeout = blocks;
+    }
+
+    function getOracleRequestTimeout() external view returns(uint256) {
+        return oracleRequestTimeout;
     }
 
     function getMyIndexes() external view returns(uint8[3]) {
@@ -295,25 +529,28 @@ contract FlightSuretyApp {
         string flight,
         uint256 timestamp,
         uint8 statusCode
-    ) external
+    ) external requireIsOperational
     {
+        Oracle storage oracle = oracles[msg.sender];
+        require(oracle.isRegistered, "Not registered as an oracle");
+        require(!oracle.isSuspended, "Oracle is suspended");
         require(
-            (oracles[msg.sender].indexes[0] == index) || (oracles[msg.sender].indexes[1] == index) || (oracles[msg.sender].indexes[2] == index),
+            (oracle.indexes[0] == index) || (oracle.indexes[1] == index) || (oracle.indexes[2] == index),
             "Index does not match oracle request"
         );
+        require(statusCode % 10 == 0 && statusCode <= STATUS_CODE_LATE_OTHER, "Flight status code is not valid");
 
-        bytes32 key = keccak256(
-            abi.encodePacked(
-                index,
-                airline,
-                flight,
-                timestamp
-            )
-        );
+        ResponseInfo storage request = oracleResponses[flightRequests[getFlightKey(airline, flight, timestamp)]];
 
-        require(oracleResponses[key].isOpen, "Flight or timestamp do not match oracle request");
+        require(request.isOpen && request.index == index, "Flight or timestamp do not match oracle request");
+        require(block.number <= request.expiresAt, "Oracle request expired");
+        require(!request.hasResponded[msg.sender], "Oracle already responded");
 
-        oracleResponses[key].responses[statusCode].push(msg.sender);
+        request.hasResponded[msg.sender] = true;
+        request.responses[statusCode].push(msg.sender);
+        if (request.expiresAt > oracle.lockedUntil) {
+            oracle.lockedUntil = request.expiresAt;
+        }
 
         // Information isn't considered verified until at least MIN_RESPONSES
         // oracles respond with the *** same *** information
@@ -323,7 +560,9 @@ contract FlightSuretyApp {
             timestamp,
             statusCode
         );
-        if (oracleResponses[key].responses[statusCode].length >= MIN_RESPONSES) {
+        if (request.responses[statusCode].length >= MIN_RESPONSES) {
+            // late oracles are not accepted once consensus is reached
+            request.isOpen = false;
 
             emit FlightStatusInfo(
                 airline,
@@ -332,6 +571,8 @@ contract FlightSuretyApp {
                 statusCode
             );
 
+            scoreOracles(request, statusCode);
+
             // Handle flight status as appropriate
             processFlightStatus(
                 airline,
@@ -346,8 +587,8 @@ contract FlightSuretyApp {
     /*                                       PUBLIC FUNCTIONS                                   */
     /********************************************************************************************/
 
-    function isOperational() public pure returns(bool) {
-        return true;  // Modify to call data contract's status
+    function isOperational() public view returns(bool) {
+        return flightSuretyData.isOperational();
     }
 
     /********************************************************************************************/
@@ -356,16 +597,95 @@ contract FlightSuretyApp {
 
     /**
     * @dev Called after oracle has updated flight status
-    *
+    *      Writes the verified status and credits the insurees when the airline is to blame,
+    *      oracle consensus is the only way a flight status is set
     */
 
     function processFlightStatus(
         address airline,
         string memory flight,
         uint256 timestamp,
-        uint8 statusCode) internal pure
+        uint8 statusCode) internal
     {
+        bytes32 flightKey = getFlightKey(airline, flight, timestamp);
+        // oracles can be asked about flights which were never registered
+        if (!flightSuretyData.checkIsFlight(flightKey)) {
+            return;
+        }
+        flightSuretyData.setFlightStatus(flight, timestamp, statusCode, airline);
+        if (payoutRates[statusCode] > 0) {
+            flightSuretyData.creditInsurees(flightKey, payoutRates[statusCode], CREDIT_BATCH_SIZE);
+        }
+    }
+
+    function setPayoutRateOf(uint8 statusCode, uint256 rate) internal {
+        payoutRates[statusCode] = rate;
+        emit PayoutRateChanged(statusCode, rate);
+    }
+
+    /**
+    * @dev Score the responders of a request against its consensus status,
+    *      the slashed stakes are added to the insurance balance
+    */
+    function scoreOracles(ResponseInfo storage request, uint8 consensusStatus) internal {
+        uint256 slashed = 0;
+        for (uint8 statusCode = STATUS_CODE_UNKNOWN; statusCode <= STATUS_CODE_LATE_OTHER; statusCode += 10) {
+            address[] storage responders = request.responses[statusCode];
+            for (uint256 i = 0; i < responders.length; i++) {
+                slashed = slashed.add(scoreOracle(responders[i], statusCode == consensusStatus));
+            }
+        }
+        if (slashed > 0) {
+            flightSuretyData.depositInsuranceBalance.value(slashed)();
+        }
+    }
 
+    function scoreOracle(address account, bool agreed) internal returns(uint256 slashed) {
+        Oracle storage oracle = oracles[account];
+        if (agreed) {
+            oracle.agreements = oracle.agreements.add(1);
+            oracle.strikes = 0;
+        } else {
+            oracle.disagreements = oracle.disagreements.add(1);
+            oracle.strikes = oracle.strikes.add(1);
+        }
+        emit OracleScored(account, agreed, oracle.agreements, oracle.disagreements);
+
+        if (oracle.strikes < ORACLE_STRIKE_LIMIT) {
+            return 0;
+        }
+        slashed = oracle.stake.mul(ORACLE_SLASH_RATE).div(100);
+        oracle.stake = oracle.stake.sub(slashed);
+        oracle.slashed = oracle.slashed.add(slashed);
+        oracle.strikes = 0;
+        emit OracleSlashed(account, slashed, oracle.stake);
+        if (oracle.stake < MIN_ORACLE_STAKE) {
+            oracle.isSuspended = true;
+            emit OracleSuspended(account);
+        }
+    }
+
+    function closeExpiredRequest(ResponseInfo storage request, address airline, string memory flight, uint256 timestamp) internal {
+        request.isOpen = false;
+        emit OracleRequestExpired(request.index, airline, flight, timestamp);
+    }
+
+    function startOperatingStatusRound(bool mode) internal {
+        operatingStatusRound = operatingStatusRound.add(1);
+        operatingStatusVoteMode = mode;
+        operatingStatusVotes = 0;
+    }
+
+    function getOperatingStatusRequiredVotes() internal view returns(uint256) {
+        uint256 fundedAirlineCount = flightSuretyData.getFundedAirlineCount();
+        return fundedAirlineCount.add(OPERATING_STATUS_VOTE_RATE - 1).div(OPERATING_STATUS_VOTE_RATE);
+    }
+
+    function getRequiredVotes(uint256 registeredAirlineCount) internal pure returns(uint256) {
+        if (registeredAirlineCount < CONSENSUS_THRESHOLD) {
+            return 0;
+        }
+        return registeredAirlineCount / MULTI_PART_CONSENSUS_RATE;
     }
 
     function getFlightKey(address airline, string flightCode, uint256 timestamp) internal pure returns(bytes32) {
@@ -412,11 +732,17 @@ contract FlightSuretyApp {
 }
 
 contract FlightSuretyData {
+    function isOperational() public view returns(bool);
+    function setOperatingStatus(bool mode) external;
     // -- Airline
     function registerAirline(address newAirline, address callerAirline) external;
     function checkAirlineIsRegisterd(address airlineAddress) external view returns(bool);
+    function checkAirlineIsPaidFund(address airlineAddress) external view returns(bool);
+    function checkAirlineCanVote(address airlineAddress) external view returns(bool);
+    function getAirlineVotes(address airlineAddress) external view returns(uint256);
     function voteForNewAirline(address newAirlineAddress, address callerAirline) external returns(uint256 votes);
     function getRegisteredAirlineCount() external view returns(uint256 count);
+    function getFundedAirlineCount() external view returns(uint256 count);
     function airlinePaidFunding(address callerAirline) external payable;
     // -- Flight
     function registerFlight(string flightCode, uint256 timestamp, address callerAirline) external;
@@ -434,12 +760,15 @@ contract FlightSuretyData {
 
     // -- Insurance
     function addInsuranceBalance(address callerAddress) external payable;
+    function depositInsuranceBalance() external payable;
     function buyInsurance(address passenger, bytes32 flightKey, uint256 amountToPaid) external payable;
     function checkInsuranceAmount(bytes32 flightKey, address callerPassenger)external view returns(uint256);
     function insurancePayout(
         bytes32 flightKey,
         uint256 payoutRate,
         address callerPassenger) external;
+    function creditInsurees(bytes32 flightKey, uint256 payoutRate, uint256 batchSize) external returns(uint256 remaining);
+    function getUncreditedInsureeCount(bytes32 flightKey) external view returns(uint256);
 
     // -- Passenger
     function getPassengerBalance(address callerAddress) external view returns(uint256);
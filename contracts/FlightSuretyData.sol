@@ -32,6 +32,7 @@ contract FlightSuretyData {
         bytes32 flightKey;
         uint256 value;
         bool isPayout;
+        uint256 credited;
     }
 
     struct Passenger {
@@ -49,12 +50,19 @@ contract FlightSuretyData {
     mapping(address => bool) private authorizedContracts;
 
     uint256 private numberOfRegisteredAirlines = 0;
+    uint256 private numberOfFundedAirlines = 0;
     mapping(address => Airline) private airlines;
     mapping(address => uint256) private registeringAirlines;
 
     mapping(bytes32 => Flight) private flights;
     mapping(address => Passenger) private passengers;
 
+    // insurees of each flight, credited in batches from creditedInsurees onwards
+    mapping(bytes32 => address[]) private flightInsurees;
+    // flights insured by each passenger, in order of purchase
+    mapping(address => bytes32[]) private passengerPolicies;
+    mapping(bytes32 => uint256) private creditedInsurees;
+
     uint256 private airlineBalance = 0;
     uint256 private insuranceBalance = 0;
 
@@ -66,6 +74,25 @@ contract FlightSuretyData {
 
     event AirlineRegistered(address newAirline);
 
+    event FlightRegistered(address airline, string flightCode, uint256 timestamp);
+
+    event FlightStatusUpdated(address airline, string flightCode, uint256 timestamp, uint8 statusCode);
+
+    event InsureeCredited(address passenger, bytes32 flightKey, uint256 payout);
+
+    // money movements, with InsureeCredited they rebuild airlineBalance, insuranceBalance and the passenger balances
+    event AirlineFunded(address airline, uint256 amount);
+
+    event InsuranceDeposited(address depositor, uint256 amount);
+
+    event InsurancePurchased(address passenger, bytes32 flightKey, uint256 amount);
+
+    event PassengerWithdrawal(address passenger, uint256 amount);
+
+    event FundReceived(address sender, uint256 amount);
+
+    event OperatingStatusChanged(bool mode);
+
     /********************************************************************************************/
     /*                                          CONSTRUCTOR                                     */
     /********************************************************************************************/
@@ -154,10 +181,13 @@ contract FlightSuretyData {
     * @dev Sets contract operations on/off
     *
     * When operational mode is disabled, all write transactions except for this one will fail
+    * FlightSuretyApp sets it once enough airlines voted, the owner keeps it as an emergency switch
     */
 
-    function setOperatingStatus(bool mode) external requireContractOwner {
+    function setOperatingStatus(bool mode) external {
+        require(msg.sender == contractOwner || isAuthorizeContracts(msg.sender), "Caller is not contract owner or authorized contract");
         operational = mode;
+        emit OperatingStatusChanged(mode);
     }
 
     /**
@@ -200,6 +230,14 @@ contract FlightSuretyData {
         count = numberOfRegisteredAirlines;
     }
 
+    function getFundedAirlineCount() external view returns(uint256 count) {
+        count = numberOfFundedAirlines;
+    }
+
+    function getAirlineVotes(address airlineAddress) external view requireAuthorizeContracts requireIsOperational returns(uint256) {
+        return registeringAirlines[airlineAddress];
+    }
+
     // -- Checker
 
     function checkAirlineIsRegisterd(address airlineAddress) external view requireAuthorizeContracts requireIsOperational returns(bool) {
@@ -210,6 +248,11 @@ contract FlightSuretyData {
         return _airlineIsPaidFund(airlineAddress);
     }
 
+    // funded airlines vote on the operating status, also while the contract is paused
+    function checkAirlineCanVote(address airlineAddress) external view requireAuthorizeContracts returns(bool) {
+        return airlines[airlineAddress].isRegistered && airlines[airlineAddress].hasPaidFund;
+    }
+
     function checkAirlineIsRegistering(address airlineAddress) external view requireAuthorizeContracts requireIsOperational returns(bool) {
         return _airlineIsRegistering(airlineAddress);
     }
@@ -233,6 +276,8 @@ contract FlightSuretyData {
         require(!airlines[callerAirline].hasPaidFund, "Calling airline has already paid their funds");
         airlineBalance = airlineBalance.add(msg.value);
         airlines[callerAirline].hasPaidFund = true;
+        numberOfFundedAirlines = numberOfFundedAirlines.add(1);
+        emit AirlineFunded(callerAirline, msg.value);
     }
 
     // -- Passenger
@@ -251,6 +296,7 @@ contract FlightSuretyData {
         require(passengers[callerPassenger].balance >= withdrawAmount, "Not enoguth passanger balance");
         passengers[callerPassenger].balance = passengers[callerPassenger].balance.sub(withdrawAmount);
         callerPassenger.transfer(withdrawAmount);
+        emit PassengerWithdrawal(callerPassenger, withdrawAmount);
     }
 
     // -- Insurance
@@ -266,6 +312,15 @@ contract FlightSuretyData {
     requireAuthorizeContracts requireIsOperational isAirline(callerAddress) payableIsPositiveValue(msg.value)
     {
         insuranceBalance = insuranceBalance.add(msg.value);
+        emit InsuranceDeposited(callerAddress, msg.value);
+    }
+
+    // Function: add the stakes slashed from oracles by the app to the insurance balance
+    function depositInsuranceBalance() external payable
+    requireAuthorizeContracts requireIsOperational payableIsPositiveValue(msg.value)
+    {
+        insuranceBalance = insuranceBalance.add(msg.value);
+        emit InsuranceDeposited(msg.sender, msg.value);
     }
 
     // Function: buy insurance
@@ -275,14 +330,17 @@ contract FlightSuretyData {
         bytes32 insuranceKey = _getInsuranceKey(passenger, flightKey);
         require(passengers[passenger].insurances[insuranceKey].isInsurance == false, "Cannot buy same insurance twice");
         passengers[passenger].isPassenger = true;
-        passengers[passenger].balance = 0;
         insuranceBalance = insuranceBalance.add(msg.value);
         passengers[passenger].insurances[insuranceKey] = Insurance({
             isInsurance: true,
             flightKey: flightKey,
             value: amountToPaid,
-            isPayout: false
+            isPayout: false,
+            credited: 0
         });
+        flightInsurees[flightKey].push(passenger);
+        passengerPolicies[passenger].push(flightKey);
+        emit InsurancePurchased(passenger, flightKey, msg.value);
     }
 
     // Function: get passenger Insurance record
@@ -302,12 +360,90 @@ contract FlightSuretyData {
     external
     requireAuthorizeContracts requireIsOperational isPassenger(callerPassenger)
     {
-        bytes32 insuranceKey = _getInsuranceKey(callerPassenger, flightKey);
-        require(passengers[callerPassenger].insurances[insuranceKey].isInsurance == true, "Cannot buy same insurance twice");
-        uint256 payout = passengers[callerPassenger].insurances[insuranceKey].value.mul(payoutRate).div(100);
-        require(insuranceBalance >= payout, "Not enoguth insurance balance");
-        insuranceBalance = insuranceBalance.sub(payout);
-        passengers[callerPassenger].balance = passengers[callerPassenger].balance.add(payout);
+        Insurance storage insurance = passengers[callerPassenger].insurances[_getInsuranceKey(callerPassenger, flightKey)];
+        require(insurance.isInsurance == true, "Passenger has no insurance for the flight");
+        require(insurance.isPayout == false, "Insurance is already paid out");
+        require(insuranceBalance >= _payoutOf(insurance, payoutRate), "Not enoguth insurance balance");
+        _creditInsurance(callerPassenger, insurance, payoutRate);
+    }
+
+    /**
+    * @dev Credit the payout of the next `batchSize` insurees of a flight, insurees already paid out are skipped
+    *      Stops early when the insurance balance cannot cover the next payout
+    *
+    * @return The number of insurees still waiting for their credit
+    */
+    function creditInsurees(bytes32 flightKey, uint256 payoutRate, uint256 batchSize)
+    external requireAuthorizeContracts requireIsOperational
+    returns(uint256 remaining)
+    {
+        address[] storage insurees = flightInsurees[flightKey];
+        uint256 next = creditedInsurees[flightKey];
+        uint256 end = next.add(batchSize);
+        if (end > insurees.length) {
+            end = insurees.length;
+        }
+        for (; next < end; next++) {
+            Insurance storage insurance = passengers[insurees[next]].insurances[_getInsuranceKey(insurees[next], flightKey)];
+            if (insurance.isPayout) {
+                continue;
+            }
+            if (insuranceBalance < _payoutOf(insurance, payoutRate)) {
+                break;
+            }
+            _creditInsurance(insurees[next], insurance, payoutRate);
+        }
+        creditedInsurees[flightKey] = next;
+        remaining = insurees.length.sub(next);
+    }
+
+    // Policies stay readable while the contract is paused
+    function hasPolicies(address passenger)
+    external view requireAuthorizeContracts
+    returns(bool)
+    {
+        return passengers[passenger].isPassenger;
+    }
+
+    function getPassengerPolicyCount(address passenger)
+    external view requireAuthorizeContracts
+    returns(uint256)
+    {
+        return passengerPolicies[passenger].length;
+    }
+
+    function getPassengerPolicy(address passenger, uint256 index)
+    external view requireAuthorizeContracts
+    returns(bytes32 flightKey, uint256 premium, bool isPayout, uint256 credited)
+    {
+        require(index < passengerPolicies[passenger].length, "Policy index out of range");
+        flightKey = passengerPolicies[passenger][index];
+        Insurance storage insurance = passengers[passenger].insurances[_getInsuranceKey(passenger, flightKey)];
+        return (flightKey, insurance.value, insurance.isPayout, insurance.credited);
+    }
+
+    function getFlightPolicyCount(bytes32 flightKey)
+    external view requireAuthorizeContracts
+    returns(uint256)
+    {
+        return flightInsurees[flightKey].length;
+    }
+
+    function getFlightPolicy(bytes32 flightKey, uint256 index)
+    external view requireAuthorizeContracts
+    returns(address passenger, uint256 premium, bool isPayout, uint256 credited)
+    {
+        require(index < flightInsurees[flightKey].length, "Policy index out of range");
+        passenger = flightInsurees[flightKey][index];
+        Insurance storage insurance = passengers[passenger].insurances[_getInsuranceKey(passenger, flightKey)];
+        return (passenger, insurance.value, insurance.isPayout, insurance.credited);
+    }
+
+    function getUncreditedInsureeCount(bytes32 flightKey)
+    external view requireAuthorizeContracts requireIsOperational
+    returns(uint256)
+    {
+        return flightInsurees[flightKey].length.sub(creditedInsurees[flightKey]);
     }
 
     // -- Flight
@@ -332,8 +468,9 @@ contract FlightSuretyData {
             code:flightCode,
             timestamp: timestamp,
             statusCode: 0,
-            airline: msg.sender
+            airline: callerAirline
         });
+        emit FlightRegistered(callerAirline, flightCode, timestamp);
     }
 
     function setFlightStatus(
@@ -347,6 +484,7 @@ contract FlightSuretyData {
         bytes32 flightKey = _getFlightKey(callerAirline, flightCode, timestamp);
         require(_existFlight(flightKey), "Flight not exist");
         flights[flightKey].statusCode = statusCode;
+        emit FlightStatusUpdated(callerAirline, flightCode, timestamp, statusCode);
     }
 
     function getFlightStatus(
@@ -361,6 +499,15 @@ contract FlightSuretyData {
         return flights[flightKey].statusCode;
     }
 
+    function getFlight(bytes32 flightKey)
+    external view requireAuthorizeContracts
+    returns(address airline, string flightCode, uint256 timestamp, uint8 statusCode)
+    {
+        Flight storage flight = flights[flightKey];
+        require(flight.isFlight, "Flight not exist");
+        return (flight.airline, flight.code, flight.timestamp, flight.statusCode);
+    }
+
     /********************************************************************************************/
     /*                                        PUBLIC FUNCTIONS                                  */
     /********************************************************************************************/
@@ -382,9 +529,10 @@ contract FlightSuretyData {
    /**
     * @dev Initial funding for the insurance. Unless there are too many delayed flights
     *      resulting in insurance payouts, the contract should be self-sustaining
-    *
+    *      Ether sent here is not part of any balance until it is allocated
     */
     function fund() public payable {
+        emit FundReceived(msg.sender, msg.value);
     }
 
     /********************************************************************************************/
@@ -448,4 +596,18 @@ contract FlightSuretyData {
         return passengers[passenger].isPassenger;
     }
 
+    // -- Insurance
+    function _payoutOf(Insurance storage insurance, uint256 payoutRate) private view returns(uint256) {
+        return insurance.value.mul(payoutRate).div(100);
+    }
+
+    function _creditInsurance(address passenger, Insurance storage insurance, uint256 payoutRate) private {
+        uint256 payout = _payoutOf(insurance, payoutRate);
+        insurance.isPayout = true;
+        insurance.credited = payout;
+        insuranceBalance = insuranceBalance.sub(payout);
+        passengers[passenger].balance = passengers[passenger].balance.add(payout);
+        emit InsureeCredited(passenger, insurance.flightKey, payout);
+    }
+
 }
\ No newline at end of file
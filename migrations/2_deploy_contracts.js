@@ -1,20 +1,29 @@
 const FlightSuretyApp = artifacts.require('FlightSuretyApp')
 const FlightSuretyData = artifacts.require('FlightSuretyData')
-const fs = require('fs')
+const {
+  networkUrls,
+  getChainId,
+  getDeploymentBlock,
+  saveNetworkConfig,
+} = require('../config/deployConfig.js')
 
-module.exports = function(deployer) {
-  const firstAirline = '0xf17f52151EbEF6C7334FAD080c5704D77216b732'
+module.exports = function(deployer, network, accounts) {
+  const firstAirline = process.env.FIRST_AIRLINE || accounts[1] || accounts[0]
   deployer.deploy(FlightSuretyData, firstAirline)
     .then(() => deployer.deploy(FlightSuretyApp, FlightSuretyData.address)
-      .then(() => {
-        const config = {
-          localhost: {
-            url: 'http://localhost:8545',
-            dataAddress: FlightSuretyData.address,
-            appAddress: FlightSuretyApp.address,
-          },
-        }
-        fs.writeFileSync(`${__dirname}/../src/dapp/config.json`, JSON.stringify(config, null, '\t'), 'utf-8')
-        fs.writeFileSync(`${__dirname}/../src/server/config.json`, JSON.stringify(config, null, '\t'), 'utf-8')
-      }))
+      .then(() => FlightSuretyData.deployed())
+      .then(flightSuretyData => flightSuretyData.authorizeContracts(FlightSuretyApp.address))
+      .then(() => Promise.all([
+        getChainId(web3),
+        web3.eth.net.getId(),
+        getDeploymentBlock(web3, FlightSuretyData.transactionHash),
+      ]))
+      .then(([chainId, networkId, deploymentBlock]) => saveNetworkConfig(network, {
+        ...networkUrls(network),
+        chainId,
+        networkId: Number(networkId),
+        dataAddress: FlightSuretyData.address,
+        appAddress: FlightSuretyApp.address,
+        deploymentBlock,
+      })))
 }
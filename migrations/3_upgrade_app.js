@@ -0,0 +1,29 @@
+const FlightSuretyApp = artifacts.require('FlightSuretyApp')
+const FlightSuretyData = artifacts.require('FlightSuretyData')
+const {loadNetworkConfig, saveNetworkConfig} = require('../config/deployConfig.js')
+const {upgradeApp} = require('../config/upgradeApp.js')
+
+// only runs with UPGRADE_APP set, i.e. `npm run upgrade -- --network <name>`
+module.exports = function(deployer, network) {
+  if (!process.env.UPGRADE_APP) {
+    console.log('Skip FlightSuretyApp upgrade, set UPGRADE_APP to run it')
+    return
+  }
+  deployer.then(async () => {
+    const config = loadNetworkConfig(network) || {}
+    const flightSuretyData = config.dataAddress
+      ? await FlightSuretyData.at(config.dataAddress)
+      : await FlightSuretyData.deployed()
+    const oldApp = config.appAddress
+      ? await FlightSuretyApp.at(config.appAddress)
+      : await FlightSuretyApp.deployed()
+
+    const newApp = await upgradeApp({
+      flightSuretyData,
+      oldApp,
+      deployApp: dataAddress => deployer.deploy(FlightSuretyApp, dataAddress).then(() => FlightSuretyApp.deployed()),
+    })
+    console.log(`FlightSuretyApp upgraded from ${oldApp.address} to ${newApp.address}`)
+    saveNetworkConfig(network, {appAddress: newApp.address})
+  })
+}
@@ -0,0 +1,32 @@
+// Boolean flags, every other --option takes a value
+const FLAGS = ['json', 'dry-run', 'help']
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+
+/**
+ * Split argv into the command, its positional arguments and --options
+ * @return {{command: string, params: string[], options: Object}}
+ */
+export default function parseArgs(argv) {
+  const params = []
+  const options = {}
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i]
+    if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split('=')
+      if (FLAGS.includes(name)) {
+        options[camelCase(name)] = inlineValue === undefined || inlineValue !== 'false'
+      } else if (inlineValue !== undefined) {
+        options[camelCase(name)] = inlineValue
+      } else {
+        if (i + 1 >= argv.length) throw new Error(`Missing value of --${name}`)
+        i += 1
+        options[camelCase(name)] = argv[i]
+      }
+    } else {
+      params.push(arg)
+    }
+  }
+  const [command, ...rest] = params
+  return {command, params: rest, options}
+}
@@ -0,0 +1,221 @@
+import fs from 'fs'
+import path from 'path'
+import {parseSchedule, importSchedule} from '../client/schedule'
+import {fetchLedger, ledgerToCsv, reconcile} from '../client/ledger'
+
+// Same as JOIN_FEE in FlightSuretyApp
+const JOIN_FEE = '10'
+
+const requireAddress = (web3, address, name) => {
+  if (!web3.utils.isAddress(address)) {
+    throw new Error(`${name} is not a valid address: ${address}`)
+  }
+  return web3.utils.toChecksumAddress(address)
+}
+
+const parseBoolean = (value) => {
+  if (['true', 'on', '1'].includes(value)) return true
+  if (['false', 'off', '0'].includes(value)) return false
+  throw new Error(`Expected true or false, got ${value}`)
+}
+
+// unix timestamp or any date Date.parse understands, e.g. 2026-10-18T10:30Z
+const parseTimestamp = (value) => {
+  if (/^\d+$/.test(value)) return Number(value)
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new Error(`timestamp is not a unix timestamp nor a date: ${value}`)
+  }
+  return Math.floor(time / 1000)
+}
+
+// e.g. `2/3 to pause`, votes of the airlines for switching the current status
+const operatingStatusVotes = async (client) => {
+  const {isOperational, votes, requiredVotes} = await client.getOperatingStatusVotes()
+  return `${votes}/${requiredVotes} to ${isOperational ? 'pause' : 'resume'}`
+}
+
+// register one airline and optionally pay its funding from its own account
+const seedAirline = async ({client}, airline, fund) => {
+  let status = await client.getAirlineStatus(airline)
+  const result = {airline}
+  if (!status.isRegistered) {
+    result.registration = await client.registerAirline(airline)
+    if (!result.registration.dryRun) status = await client.getAirlineStatus(airline)
+  }
+  result.isRegistered = status.isRegistered
+  if (!status.isRegistered && status.requiredVotes > 0) {
+    result.votes = `${status.votes}/${status.requiredVotes}`
+  }
+  if (fund && !status.hasPaidFund) {
+    result.funding = status.isRegistered
+      ? await client.payFunding(fund, {from: airline})
+      : 'skipped, airline is not registered yet'
+  }
+  return result
+}
+
+export default {
+  status: {
+    usage: 'status',
+    description: 'Contract addresses, operating status and app authorization',
+    run: async ({client, config}) => ({
+      network: config.network,
+      appAddress: config.appAddress,
+      dataAddress: config.dataAddress,
+      isOperational: await client.isDataOperational(),
+      isAppAuthorized: await client.isAuthorizedContract(config.appAddress),
+      oracleRequestTimeout: await client.getOracleRequestTimeout(),
+      registeredOracles: await client.getRegisteredOracleCount(),
+      operatingStatusVotes: await operatingStatusVotes(client),
+    }),
+  },
+
+  balances: {
+    usage: 'balances',
+    description: 'Airline funding and insurance held by FlightSuretyData',
+    run: ({client}) => client.getContractBalances(),
+  },
+
+  authorize: {
+    usage: 'authorize [address]',
+    description: 'Allow a contract to call FlightSuretyData, FlightSuretyApp by default',
+    run: ({client, web3, config}, [address = config.appAddress]) => (
+      client.authorizeContracts(requireAddress(web3, address, 'address'))
+    ),
+  },
+
+  unauthorize: {
+    usage: 'unauthorize <address>',
+    description: 'Revoke the access of a contract to FlightSuretyData',
+    required: 1,
+    run: ({client, web3}, [address]) => (
+      client.unauthorizeContracts(requireAddress(web3, address, 'address'))
+    ),
+  },
+
+  ledger: {
+    usage: 'ledger [--format json|csv] [--output <file>]',
+    description: 'Funding, premiums, insurance deposits, credits and withdrawals rebuilt from the FlightSuretyData events',
+    run: async ({client, config}, params, {format = 'json', output}) => {
+      if (!['json', 'csv'].includes(format)) throw new Error(`format must be json or csv: ${format}`)
+      const ledger = await fetchLedger(client, config.deploymentBlock)
+      if (!output) return format === 'csv' ? ledgerToCsv(ledger) : ledger
+      fs.writeFileSync(output, format === 'csv' ? `${ledgerToCsv(ledger)}\n` : JSON.stringify(ledger, null, 2))
+      return {output, blockNumber: ledger.blockNumber, entries: ledger.entries.length, balances: ledger.balances}
+    },
+  },
+
+  reconcile: {
+    usage: 'reconcile',
+    description: 'Check the ledger against the FlightSuretyData balances and the ether it holds, exits with 1 on a mismatch',
+    run: async ({client, config}) => {
+      const reconciliation = await reconcile(client, await fetchLedger(client, config.deploymentBlock))
+      if (!reconciliation.isReconciled) process.exitCode = 1
+      return reconciliation
+    },
+  },
+
+  'set-operational': {
+    usage: 'set-operational <true|false>',
+    description: 'Turn FlightSuretyData operations on or off as the owner, bypassing the airline votes',
+    required: 1,
+    run: ({client}, [mode]) => client.setOperatingStatus(parseBoolean(mode)),
+  },
+
+  'vote-operational': {
+    usage: 'vote-operational <true|false> --from <airline>',
+    description: 'Vote as a funded airline to resume or pause the contracts',
+    required: 1,
+    run: async ({client}, [mode]) => {
+      const result = await client.voteOperatingStatus(parseBoolean(mode))
+      if (result.dryRun) return result
+      return {...result, operatingStatusVotes: await operatingStatusVotes(client)}
+    },
+  },
+
+  'set-request-timeout': {
+    usage: 'set-request-timeout <blocks>',
+    description: 'Blocks oracles have to respond before a request expires',
+    required: 1,
+    run: ({client}, [blocks]) => {
+      if (!/^[1-9]\d*$/.test(blocks)) throw new Error(`blocks must be a positive integer: ${blocks}`)
+      return client.setOracleRequestTimeout(Number(blocks))
+    },
+  },
+
+  'set-payout-rate': {
+    usage: 'set-payout-rate <status> <rate>',
+    description: 'Percentage of the premium paid out for a delay status (20, 30, 40 or 50), 0 for no payout',
+    required: 2,
+    run: async ({client}, [statusCode, rate]) => {
+      const statusCodes = (await client.getPayoutRates()).map(payoutRate => payoutRate.statusCode)
+      if (!statusCodes.includes(Number(statusCode))) {
+        throw new Error(`status must be one of ${statusCodes.join(', ')}: ${statusCode}`)
+      }
+      if (!/^\d+$/.test(rate)) throw new Error(`rate must be a percentage: ${rate}`)
+      return client.setPayoutRate(Number(statusCode), Number(rate))
+    },
+  },
+
+  'unregister-oracles': {
+    usage: 'unregister-oracles <address...>',
+    description: 'Refund the stakes of oracles from their own unlocked accounts, required before an upgrade',
+    required: 1,
+    run: ({client, web3}, params) => Promise.all(params.map(async (address) => {
+      const oracle = requireAddress(web3, address, 'oracle')
+      if (!(await client.getOracle(oracle)).isRegistered) return {oracle, skipped: 'Not registered as an oracle'}
+      return {oracle, ...await client.unregisterOracle(oracle)}
+    })),
+  },
+
+  'register-airline': {
+    usage: 'register-airline <address> --from <airline>',
+    description: 'Register an airline, or vote for it once multiparty consensus applies',
+    required: 1,
+    run: ({client, web3}, [airline]) => (
+      client.registerAirline(requireAddress(web3, airline, 'airline'))
+    ),
+  },
+
+  'fund-airline': {
+    usage: 'fund-airline [ether] --from <airline>',
+    description: `Pay the airline joining fee (default ${JOIN_FEE} ether)`,
+    run: ({client}, [ether = JOIN_FEE]) => client.payFunding(ether),
+  },
+
+  'seed-airlines': {
+    usage: 'seed-airlines <address...> --from <airline> [--fund <ether>]',
+    description: 'Register airlines in turn, --fund pays their joining fee from their own unlocked accounts',
+    required: 1,
+    run: async (context, params, {fund}) => {
+      const airlines = params.map(address => requireAddress(context.web3, address, 'airline'))
+      const results = []
+      // one after the other, each registration changes the votes required by the next one
+      // eslint-disable-next-line no-restricted-syntax
+      for (const airline of airlines) {
+        // eslint-disable-next-line no-await-in-loop
+        results.push(await seedAirline(context, airline, fund))
+      }
+      return results
+    },
+  },
+
+  'register-flight': {
+    usage: 'register-flight <code> <timestamp> --from <airline>',
+    description: 'Register a flight of the --from airline',
+    required: 2,
+    run: ({client}, [code, timestamp]) => client.registerFlight(code, parseTimestamp(timestamp)),
+  },
+
+  'import-schedule': {
+    usage: 'import-schedule <file> [--format csv|json]',
+    description: 'Register the flights of a schedule (flight, departure, airline) from the airline accounts',
+    required: 1,
+    run: ({client}, [file], {format, dryRun}) => {
+      const schedule = fs.readFileSync(file, 'utf-8')
+      const entries = parseSchedule(schedule, format || path.extname(file).slice(1).toLowerCase())
+      return importSchedule(client, entries, {dryRun})
+    },
+  },
+}
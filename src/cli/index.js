@@ -0,0 +1,82 @@
+import 'babel-polyfill'
+import Web3 from 'web3'
+import truffleConfig from '../../truffle'
+import {configKey} from '../../config/deployConfig'
+import FlightSuretyClient, {selectNetwork, DEFAULT_NETWORK} from '../client'
+import Config from '../server/config.json'
+import parseArgs from './args'
+import commands from './commands'
+import {format, formatError} from './output'
+
+const usage = () => [
+  'Usage: npm run admin -- <command> [arguments] [options]',
+  '',
+  'Commands:',
+  ...Object.keys(commands).map(name => `  ${commands[name].usage.padEnd(62)}${commands[name].description}`),
+  '',
+  'Options:',
+  `  --network <name>   deployment of config.json (default NETWORK or ${DEFAULT_NETWORK})`,
+  '  --from <account>   sender address or index of the node accounts (default 0, the owner)',
+  '  --gas <amount>     gas limit instead of the estimation',
+  '  --dry-run          estimate the gas of transactions without sending them',
+  '  --json             print JSON',
+].join('\n')
+
+// networks with a provider in truffle.js (e.g. HDWalletProvider) sign with it, others use the node accounts
+const createProvider = (config) => {
+  const truffleNetwork = truffleConfig.networks[config.network === 'localhost' ? 'development' : config.network]
+  if (truffleNetwork && truffleNetwork.provider) {
+    return typeof truffleNetwork.provider === 'function' ? truffleNetwork.provider() : truffleNetwork.provider
+  }
+  return new Web3.providers.HttpProvider(config.url)
+}
+
+const resolveAccount = async (web3, from = '0') => {
+  if (!/^\d+$/.test(from)) return from
+  const accounts = await web3.eth.getAccounts()
+  if (!accounts[from]) {
+    throw new Error(`No account ${from}, the node has ${accounts.length} accounts`)
+  }
+  return accounts[from]
+}
+
+const run = async ({command: name, params, options}) => {
+  const command = commands[name]
+  if (!command || options.help) {
+    if (name && !command && name !== 'help') throw new Error(`Unknown command ${name}\n\n${usage()}`)
+    return usage()
+  }
+  if (params.length < (command.required || 0)) {
+    throw new Error(`Usage: ${command.usage}`)
+  }
+
+  const config = selectNetwork(Config, configKey(options.network || process.env.NETWORK || DEFAULT_NETWORK))
+  const provider = createProvider(config)
+  try {
+    const web3 = new Web3(provider)
+    const client = new FlightSuretyClient(web3, config, {
+      from: await resolveAccount(web3, options.from),
+      gas: options.gas && Number(options.gas),
+      dryRun: options.dryRun,
+    })
+    return await command.run({client, web3, config}, params, options)
+  } finally {
+    // wallet providers keep polling blocks until stopped
+    if (provider.engine) provider.engine.stop()
+  }
+}
+
+let json = false
+Promise.resolve()
+  .then(() => {
+    const args = parseArgs(process.argv.slice(2))
+    json = Boolean(args.options.json)
+    return run(args)
+  })
+  .then((result) => {
+    console.log(typeof result === 'string' ? result : format(result, json))
+  })
+  .catch((error) => {
+    console.error(formatError(error, json))
+    process.exitCode = 1
+  })
@@ -0,0 +1,55 @@
+// Receipts carry full decoded logs, keep the event names and their named values.
+// Logs of FlightSuretyData are not decoded by the app ABI and come keyed by position
+const summarizeEvents = events => Object.keys(events).filter(name => Number.isNaN(Number(name))).reduce((summary, name) => {
+  const list = [].concat(events[name])
+  return {
+    ...summary,
+    [name]: list.map(event => Object.keys(event.returnValues || {})
+      .filter(key => Number.isNaN(Number(key)))
+      .reduce((values, key) => ({...values, [key]: event.returnValues[key]}), {})),
+  }
+}, {})
+
+export const summarize = (value) => {
+  if (Array.isArray(value)) return value.map(summarize)
+  if (!value || typeof value !== 'object') return value
+  return Object.keys(value).reduce((result, key) => ({
+    ...result,
+    [key]: key === 'events' ? summarizeEvents(value[key]) : summarize(value[key]),
+  }), {})
+}
+
+const formatLines = (value, indent = '') => {
+  if (Array.isArray(value)) {
+    return [].concat(...value.map((item, index) => [`${indent}[${index}]`, ...formatLines(item, `${indent}  `)]))
+  }
+  return [].concat(...Object.keys(value).map((key) => {
+    const item = value[key]
+    if (item && typeof item === 'object') {
+      return Object.keys(item).length ? [`${indent}${key}:`, ...formatLines(item, `${indent}  `)] : []
+    }
+    return [`${indent}${key}: ${item}`]
+  }))
+}
+
+// human readable `key: value` lines, or JSON with --json
+export const format = (value, json) => {
+  const summary = summarize(value)
+  if (json) return JSON.stringify(summary, null, 2)
+  if (!summary || typeof summary !== 'object') return String(summary)
+  return formatLines(summary).join('\n')
+}
+
+export const formatError = (error, json) => {
+  if (json) {
+    return JSON.stringify({
+      error: {
+        message: error.message,
+        method: error.method,
+        reason: error.reason,
+        transactionHash: error.transactionHash,
+      },
+    }, null, 2)
+  }
+  return `Error: ${error.message}`
+}
@@ -0,0 +1,53 @@
+const ERROR_SELECTOR = '0x08c379a0' // Error(string)
+
+const revertMessagePatterns = [
+  /VM Exception while processing transaction: revert (.+)$/m,
+  /execution reverted: (.+)$/m,
+  /reverted with reason string '(.+)'/,
+]
+
+const findRevertData = (error) => {
+  if (!error) return null
+  if (typeof error.data === 'string' && error.data.startsWith(ERROR_SELECTOR)) return error.data
+  if (error.data && typeof error.data === 'object') {
+    // ganache responds { [txHash]: { error, reason, return } }
+    const entry = Object.keys(error.data).map(key => error.data[key]).find(value => value && (value.reason || value.return))
+    if (entry && entry.reason) return entry.reason
+    if (entry && typeof entry.return === 'string' && entry.return.startsWith(ERROR_SELECTOR)) return entry.return
+  }
+  return null
+}
+
+/**
+ * Decode the `require` reason out of a web3 / JSON-RPC error
+ * @return {string|null} reason, null when the error is not a revert with reason
+ */
+export const decodeRevertReason = (web3, error) => {
+  const data = findRevertData(error)
+  if (data && data.startsWith(ERROR_SELECTOR)) {
+    try {
+      return web3.eth.abi.decodeParameter('string', `0x${data.slice(ERROR_SELECTOR.length)}`)
+    } catch (e) {
+      return null
+    }
+  }
+  if (data) return data
+
+  const message = (error && error.message) || ''
+  const pattern = revertMessagePatterns.find(regex => regex.test(message))
+  return pattern ? message.match(pattern)[1].trim() : null
+}
+
+export const isRevert = error => /revert/i.test((error && error.message) || '')
+
+// Error of a FlightSurety contract call, `reason` is the decoded `require` message
+export class FlightSuretyError extends Error {
+  constructor(method, reason, cause, transactionHash = null) {
+    super(reason ? `${method} reverted: ${reason}` : `${method} failed: ${cause && cause.message}`)
+    this.name = 'FlightSuretyError'
+    this.method = method
+    this.reason = reason
+    this.cause = cause
+    this.transactionHash = transactionHash
+  }
+}
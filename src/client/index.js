@@ -0,0 +1,622 @@
+import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json'
+import FlightSuretyData from '../../build/contracts/FlightSuretyData.json'
+import {decodeRevertReason, FlightSuretyError} from './errors'
+import {toWei, fromWei, amount} from './units'
+
+export {FlightSuretyError, decodeRevertReason, toWei, fromWei}
+export {selectNetwork, DEFAULT_NETWORK} from './networks'
+
+export const GAS_MARGIN = 1.2
+
+const STATUS_CODE_UNKNOWN = 0
+const STATUS_CODE_LATE_AIRLINE = 20
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {number} gasUsed
+ * @property {Object} events - decoded FlightSuretyApp events by name
+ */
+
+/**
+ * Returned instead of a TransactionResult when the client runs with `dryRun`
+ * @typedef {Object} DryRunResult
+ * @property {boolean} dryRun
+ * @property {string} method
+ * @property {string} from
+ * @property {number} gas - estimated gas, nothing is sent
+ */
+
+/**
+ * @typedef {Object} AirlineStatus
+ * @property {boolean} isRegistered
+ * @property {boolean} hasPaidFund
+ * @property {number} votes - votes received while waiting for multiparty consensus
+ * @property {number} requiredVotes - 0 when the airline can be registered without votes
+ */
+
+/**
+ * @typedef {Object} OperatingStatusVotes
+ * @property {boolean} isOperational
+ * @property {number} votes - airline votes for switching the current status
+ * @property {number} requiredVotes - votes switching the status, half of the funded airlines
+ */
+
+/**
+ * @typedef {Object} Amount
+ * @property {string} wei
+ * @property {string} ether
+ */
+
+/**
+ * @typedef {Object} Flight
+ * @property {string} airline
+ * @property {string} flight - flight code
+ * @property {number|string} timestamp - departure unix timestamp
+ */
+
+/**
+ * Stake and accuracy of an oracle against the consensus status of the requests it answered
+ * @typedef {Object} OracleInfo
+ * @property {boolean} isRegistered
+ * @property {boolean} isSuspended - slashed below half the registration fee, the oracle can only unregister
+ * @property {Amount} stake
+ * @property {number} agreements - responses matching the consensus status
+ * @property {number} disagreements
+ * @property {number} strikes - disagreements since the last agreement or slash
+ * @property {Amount} slashed - stake lost to the insurance balance
+ */
+
+/**
+ * Insurance bought by a passenger, with the flight it covers
+ * @typedef {Object} Policy
+ * @property {string} flightKey
+ * @property {string} airline
+ * @property {string} flight - flight code
+ * @property {number} timestamp - departure unix timestamp
+ * @property {number} statusCode - flight status, 0 until the oracles agree on it
+ * @property {Amount} premium
+ * @property {boolean} isPayout - the payout is credited to the passenger balance
+ * @property {Amount} credited - 0 until the payout is credited
+ */
+
+/**
+ * Insurance bought for a flight
+ * @typedef {Object} FlightPolicy
+ * @property {string} passenger
+ * @property {Amount} premium
+ * @property {boolean} isPayout
+ * @property {Amount} credited
+ */
+
+/**
+ * Payout of a delay, as a percentage of the premium
+ * @typedef {Object} PayoutRate
+ * @property {number} statusCode
+ * @property {number} rate - 0 when the delay does not pay out
+ * @property {Amount} payout - payout of the quoted premium
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {Amount} premium
+ * @property {Amount} premiumCap - largest premium a passenger can pay for a flight
+ * @property {number} statusCode - flight status, 0 until the oracles agree on it
+ * @property {boolean} isInsurable - insurance is only sold while the status is unknown
+ * @property {PayoutRate[]} payouts
+ * @property {Amount} expectedPayout - payout of a delay caused by the airline
+ */
+
+// indexes `start` to `end` (excluded) of a list
+const indexRange = (start, end) => Array.from({length: Math.max(end - start, 0)}, (_, i) => start + i)
+
+const toTransactionResult = receipt => ({
+  transactionHash: receipt.transactionHash,
+  blockNumber: receipt.blockNumber,
+  gasUsed: receipt.gasUsed,
+  events: receipt.events || {},
+})
+
+// Promise based client of FlightSuretyApp for the dapp, the server and scripts
+export default class FlightSuretyClient {
+  /**
+   * @param {Web3} web3
+   * @param {{appAddress: string, dataAddress: string}} config - an entry of config.json
+   * @param {{from: string, gas: number, dryRun: boolean}} defaults - default transaction options,
+   *   `dryRun` estimates the gas of transactions instead of sending them
+   */
+  constructor(web3, {appAddress, dataAddress}, defaults = {}) {
+    this.web3 = web3
+    this.defaults = defaults
+    this.flightSuretyApp = new web3.eth.Contract(FlightSuretyApp.abi, appAddress)
+    this.flightSuretyData = dataAddress ? new web3.eth.Contract(FlightSuretyData.abi, dataAddress) : null
+  }
+
+  toWei(ether) {
+    return toWei(this.web3, ether)
+  }
+
+  fromWei(wei) {
+    return fromWei(this.web3, wei)
+  }
+
+  call(name, args, options) {
+    return this.callMethod(this.flightSuretyApp, name, args, options)
+  }
+
+  send(name, args, options) {
+    return this.sendMethod(this.flightSuretyApp, name, args, options)
+  }
+
+  // views of FlightSuretyData only answer authorized callers, ask on behalf of the app contract
+  dataCall(name, args, options = {}) {
+    return this.callMethod(this.flightSuretyData, name, args, {from: this.flightSuretyApp.options.address, ...options})
+  }
+
+  dataSend(name, args, options) {
+    return this.sendMethod(this.flightSuretyData, name, args, options)
+  }
+
+  // options.blockNumber reads the state at a past block
+  async callMethod(contract, name, args, options = {}) {
+    const {blockNumber, ...callOptions} = options
+    const from = callOptions.from || this.defaults.from
+    const method = contract.methods[name](...args)
+    try {
+      return await (blockNumber === undefined ? method.call({...callOptions, from}) : method.call({...callOptions, from}, blockNumber))
+    } catch (error) {
+      throw new FlightSuretyError(name, decodeRevertReason(this.web3, error), error)
+    }
+  }
+
+  // options.onTransactionHash is called with the hash once the transaction is sent, before it is mined
+  async sendMethod(contract, name, args, options = {}) {
+    if (!contract) {
+      throw new FlightSuretyError(name, null, new Error('No contract address'))
+    }
+    const method = contract.methods[name](...args)
+    const {
+      gas, dryRun = this.defaults.dryRun, onTransactionHash, ...tx
+    } = {...options, from: options.from || this.defaults.from}
+    if (!tx.from) {
+      throw new FlightSuretyError(name, null, new Error('No sender account'))
+    }
+    try {
+      if (dryRun) {
+        return {dryRun: true, method: name, from: tx.from, gas: await method.estimateGas(tx)}
+      }
+      tx.gas = gas || this.defaults.gas || Math.ceil(await method.estimateGas(tx) * GAS_MARGIN)
+    } catch (error) {
+      throw new FlightSuretyError(name, decodeRevertReason(this.web3, error), error)
+    }
+    try {
+      const sent = method.send(tx)
+      if (onTransactionHash) sent.on('transactionHash', onTransactionHash)
+      return toTransactionResult(await sent)
+    } catch (error) {
+      let reason = decodeRevertReason(this.web3, error)
+      if (!reason) {
+        // receipt only says reverted, replay the call to get the reason
+        try {
+          await method.call(tx)
+        } catch (callError) {
+          reason = decodeRevertReason(this.web3, callError)
+        }
+      }
+      const transactionHash = (error.receipt && error.receipt.transactionHash) || null
+      throw new FlightSuretyError(name, reason, error, transactionHash)
+    }
+  }
+
+  // -- Operation
+
+  /** @return {Promise<boolean>} */
+  isOperational() {
+    return this.call('isOperational', [])
+  }
+
+  /**
+   * Vote to pause (false) or resume (true) the contracts, funded airlines only
+   * @return {Promise<TransactionResult>}
+   */
+  voteOperatingStatus(mode, options) {
+    return this.send('voteOperatingStatus', [mode], options)
+  }
+
+  /** @return {Promise<OperatingStatusVotes>} */
+  async getOperatingStatusVotes() {
+    const result = await this.call('getOperatingStatusVotes', [])
+    return {
+      isOperational: result.operational,
+      votes: Number(result.votes),
+      requiredVotes: Number(result.requiredVotes),
+    }
+  }
+
+  /** @return {Promise<boolean>} whether the airline voted for switching the current status */
+  hasVotedOperatingStatus(airline) {
+    return this.call('hasVotedOperatingStatus', [airline])
+  }
+
+  // -- Administration, owner of FlightSuretyData only
+
+  /** @return {Promise<TransactionResult>} */
+  authorizeContracts(caller, options) {
+    return this.dataSend('authorizeContracts', [caller], options)
+  }
+
+  /** @return {Promise<TransactionResult>} */
+  unauthorizeContracts(caller, options) {
+    return this.dataSend('unauthorizeContracts', [caller], options)
+  }
+
+  /** @return {Promise<boolean>} */
+  isAuthorizedContract(caller) {
+    return this.dataCall('isAuthorizeContracts', [caller])
+  }
+
+  /** @return {Promise<boolean>} */
+  isDataOperational() {
+    return this.dataCall('isOperational', [])
+  }
+
+  /** @return {Promise<TransactionResult>} */
+  setOperatingStatus(mode, options) {
+    return this.dataSend('setOperatingStatus', [mode], options)
+  }
+
+  /**
+   * Funding paid by the airlines and insurance held for the passengers
+   * @return {Promise<{airlines: Amount, insurance: Amount}>}
+   */
+  async getContractBalances() {
+    const [airlines, insurance] = await Promise.all([
+      this.dataCall('checkAirlineBalance', []),
+      this.dataCall('checkInsuranceBalance', []),
+    ])
+    return {
+      airlines: amount(this.web3, airlines),
+      insurance: amount(this.web3, insurance),
+    }
+  }
+
+  // -- Airline
+
+  /**
+   * Register a new airline, or vote for it once multiparty consensus applies
+   * @return {Promise<TransactionResult>}
+   */
+  registerAirline(newAirline, options) {
+    return this.send('registerAirline', [newAirline], options)
+  }
+
+  /** @return {Promise<AirlineStatus>} */
+  async getAirlineStatus(airline, options) {
+    const result = await this.call('getAirlineStatus', [airline], options)
+    return {
+      isRegistered: result.isRegistered,
+      hasPaidFund: result.hasPaidFund,
+      votes: Number(result.votes),
+      requiredVotes: Number(result.requiredVotes),
+    }
+  }
+
+  /**
+   * Pay the joining fee, anything above the fee is returned
+   * @param {string|number} ether
+   * @return {Promise<TransactionResult>}
+   */
+  payFunding(ether, options = {}) {
+    return this.send('payFunding', [], {...options, value: this.toWei(ether)})
+  }
+
+  // -- Flight
+
+  /** @return {Promise<TransactionResult>} */
+  registerFlight(flight, timestamp, options) {
+    return this.send('registerFlight', [flight, timestamp], options)
+  }
+
+  /**
+   * @param {Flight} flight
+   * @return {Promise<boolean>}
+   */
+  isFlightRegistered(flight) {
+    return this.dataCall('checkIsFlight', [this.flightKey(flight)])
+  }
+
+  /**
+   * Same key as getFlightKey of the contracts
+   * @param {Flight} flight
+   * @return {string}
+   */
+  flightKey({airline, flight, timestamp}) {
+    return this.web3.utils.soliditySha3(
+      {t: 'address', v: airline},
+      {t: 'string', v: flight},
+      {t: 'uint256', v: timestamp},
+    )
+  }
+
+  /**
+   * Ask the oracles for the status of a flight
+   * @param {Flight} flight
+   * @return {Promise<TransactionResult>}
+   */
+  fetchFlightStatus({airline, flight, timestamp}, options) {
+    return this.send('fetchFlightStatus', [airline, flight, timestamp], options)
+  }
+
+  // -- Insurance
+
+  /**
+   * @param {string|number} ether - amount added to the insurance balance
+   * @return {Promise<TransactionResult>}
+   */
+  addInsuranceBalance(ether, options = {}) {
+    const value = this.toWei(ether)
+    return this.send('addInsuranceBalance', [value], {...options, value})
+  }
+
+  /**
+   * @param {string} passenger
+   * @param {Flight} flight
+   * @param {string|number} ether - insured amount, up to 1 ether
+   * @return {Promise<TransactionResult>}
+   */
+  buyInsurance(passenger, {airline, flight, timestamp}, ether, options = {}) {
+    const value = this.toWei(ether)
+    return this.send('buyInsurance', [passenger, airline, flight, timestamp, value], {from: passenger, ...options, value})
+  }
+
+  /**
+   * Insured amount of the passenger for a flight
+   * @param {Flight} flight
+   * @return {Promise<Amount>}
+   */
+  async checkInsuranceAmount(passenger, {airline, flight, timestamp}) {
+    const wei = await this.call('checkInsuranceAmount', [airline, flight, timestamp], {from: passenger})
+    return amount(this.web3, wei)
+  }
+
+  /**
+   * Credit the payout of a delayed flight to the passenger balance
+   * @param {Flight} flight
+   * @return {Promise<TransactionResult>}
+   */
+  insurancePayout(passenger, {airline, flight, timestamp}, options = {}) {
+    return this.send('insurancePayout', [airline, flight, timestamp], {from: passenger, ...options})
+  }
+
+  /**
+   * Credit the next batch of insurees of a flight delayed by the airline,
+   * the oracle response reaching consensus only credits the first batch
+   * @param {Flight} flight
+   * @return {Promise<TransactionResult>}
+   */
+  creditInsurees({airline, flight, timestamp}, options) {
+    return this.send('creditInsurees', [airline, flight, timestamp], options)
+  }
+
+  /**
+   * @param {Flight} flight
+   * @return {Promise<number>} insurees of the flight not credited yet
+   */
+  async getUncreditedInsureeCount({airline, flight, timestamp}) {
+    return Number(await this.call('getUncreditedInsureeCount', [airline, flight, timestamp]))
+  }
+
+  /** @return {Promise<Amount>} largest premium of a flight */
+  async getMaxInsuranceAmount() {
+    return amount(this.web3, await this.call('MAX_INSURANCE_AMOUNT', []))
+  }
+
+  /**
+   * @param {number} statusCode
+   * @return {Promise<number>} percentage of the premium paid out, 0 when the status does not pay out
+   */
+  async getPayoutRate(statusCode) {
+    return Number(await this.call('getPayoutRate', [statusCode]))
+  }
+
+  /**
+   * Delay status codes which can pay out with their current rate, on time and unknown flights never pay out
+   * @return {Promise<{statusCode: number, rate: number}[]>}
+   */
+  async getPayoutRates() {
+    const {statusCodes, rates} = await this.call('getPayoutRates', [])
+    return statusCodes.map((statusCode, i) => ({statusCode: Number(statusCode), rate: Number(rates[i])}))
+  }
+
+  /**
+   * Payout rate of a delay, only the contract owner can set it
+   * Payouts already credited keep the rate they were credited with
+   * @param {number} statusCode - 20 to 50, a delay caused by the airline must pay out
+   * @param {number} rate - percentage of the premium, up to 300
+   * @return {Promise<TransactionResult>}
+   */
+  setPayoutRate(statusCode, rate, options) {
+    return this.send('setPayoutRate', [statusCode, rate], options)
+  }
+
+  /**
+   * Premium cap and payouts of insuring a flight for an amount
+   * @param {Flight} flight
+   * @param {string|number} ether - premium
+   * @return {Promise<Quote>}
+   */
+  async quote({airline, flight, timestamp}, ether) {
+    const premium = this.web3.utils.toBN(this.toWei(ether))
+    const [premiumCap, statusCode, rates] = await Promise.all([
+      this.getMaxInsuranceAmount(),
+      this.dataCall('getFlightStatus', [airline, flight, timestamp]).then(Number),
+      this.getPayoutRates(),
+    ])
+    const payouts = rates.map(({statusCode: code, rate}) => ({
+      statusCode: code,
+      rate,
+      payout: amount(this.web3, premium.muln(rate).divn(100)),
+    }))
+    return {
+      premium: amount(this.web3, premium),
+      premiumCap,
+      statusCode,
+      isInsurable: statusCode === STATUS_CODE_UNKNOWN,
+      payouts,
+      expectedPayout: payouts.find(payout => payout.statusCode === STATUS_CODE_LATE_AIRLINE).payout,
+    }
+  }
+
+  /** @return {Promise<number>} */
+  async getPassengerPolicyCount(passenger) {
+    return Number(await this.dataCall('getPassengerPolicyCount', [passenger]))
+  }
+
+  /**
+   * Policies of the passenger in order of purchase, readable while the contracts are paused
+   * @param {{start: number, end: number}} [range] - indexes `start` to `end` (excluded) within the policy count, all the policies by default
+   * @return {Promise<Policy[]>}
+   */
+  async getPassengerPolicies(passenger, {start = 0, end} = {}) {
+    const last = end === undefined ? await this.getPassengerPolicyCount(passenger) : end
+    return Promise.all(indexRange(start, last).map(async (i) => {
+      const policy = await this.dataCall('getPassengerPolicy', [passenger, i])
+      const flight = await this.dataCall('getFlight', [policy.flightKey])
+      return {
+        flightKey: policy.flightKey,
+        airline: flight.airline,
+        flight: flight.flightCode,
+        timestamp: Number(flight.timestamp),
+        statusCode: Number(flight.statusCode),
+        premium: amount(this.web3, policy.premium),
+        isPayout: policy.isPayout,
+        credited: amount(this.web3, policy.credited),
+      }
+    }))
+  }
+
+  /**
+   * @param {Flight} flight
+   * @return {Promise<number>}
+   */
+  async getFlightPolicyCount(flight) {
+    return Number(await this.dataCall('getFlightPolicyCount', [this.flightKey(flight)]))
+  }
+
+  /**
+   * Policies bought for a flight in order of purchase
+   * @param {Flight} flight
+   * @param {{start: number, end: number}} [range] - indexes `start` to `end` (excluded) within the policy count, all the policies by default
+   * @return {Promise<FlightPolicy[]>}
+   */
+  async getFlightPolicies(flight, {start = 0, end} = {}) {
+    const flightKey = this.flightKey(flight)
+    const last = end === undefined ? await this.getFlightPolicyCount(flight) : end
+    return Promise.all(indexRange(start, last).map(async (i) => {
+      const policy = await this.dataCall('getFlightPolicy', [flightKey, i])
+      return {
+        passenger: policy.passenger,
+        premium: amount(this.web3, policy.premium),
+        isPayout: policy.isPayout,
+        credited: amount(this.web3, policy.credited),
+      }
+    }))
+  }
+
+  /** @return {Promise<TransactionResult>} */
+  withdrawPassengerBalance(passenger, ether, options = {}) {
+    return this.send('withdrawPassengerBalance', [this.toWei(ether)], {from: passenger, ...options})
+  }
+
+  // -- Oracle
+
+  /** @return {Promise<Amount>} */
+  async getRegistrationFee() {
+    return amount(this.web3, await this.call('REGISTRATION_FEE', []))
+  }
+
+  /** @return {Promise<TransactionResult>} */
+  async registerOracle(oracle, options = {}) {
+    const {wei} = await this.getRegistrationFee()
+    return this.send('registerOracle', [], {from: oracle, ...options, value: wei})
+  }
+
+  /**
+   * Refund the stake of an oracle, once the requests it responded to expired
+   * @return {Promise<TransactionResult>}
+   */
+  unregisterOracle(oracle, options = {}) {
+    return this.send('unregisterOracle', [], {from: oracle, ...options})
+  }
+
+  /**
+   * Oracles holding a stake in FlightSuretyApp, it must be 0 before an upgrade
+   * @return {Promise<number>}
+   */
+  async getRegisteredOracleCount() {
+    return Number(await this.call('getRegisteredOracleCount', []))
+  }
+
+  /** @return {Promise<OracleInfo>} */
+  async getOracle(oracle) {
+    const result = await this.call('getOracle', [oracle])
+    return {
+      isRegistered: result.isRegistered,
+      isSuspended: result.isSuspended,
+      stake: amount(this.web3, result.stake),
+      agreements: Number(result.agreements),
+      disagreements: Number(result.disagreements),
+      strikes: Number(result.strikes),
+      slashed: amount(this.web3, result.slashed),
+    }
+  }
+
+  /**
+   * Latest oracle request of a flight
+   * @param {Flight} flight
+   * @return {Promise<{index: number, isOpen: boolean, expiresAt: number, requester: string}>}
+   */
+  async getOracleRequest({airline, flight, timestamp}) {
+    const request = await this.call('getOracleRequest', [airline, flight, timestamp])
+    return {
+      index: Number(request.index),
+      isOpen: request.isOpen,
+      expiresAt: Number(request.expiresAt),
+      requester: request.requester,
+    }
+  }
+
+  /**
+   * Close the open request of a flight after its last block
+   * @param {Flight} flight
+   * @return {Promise<TransactionResult>}
+   */
+  expireOracleRequest({airline, flight, timestamp}, options) {
+    return this.send('expireOracleRequest', [airline, flight, timestamp], options)
+  }
+
+  /** @return {Promise<number>} blocks oracles have to respond to a request */
+  async getOracleRequestTimeout() {
+    return Number(await this.call('getOracleRequestTimeout', []))
+  }
+
+  /** @return {Promise<TransactionResult>} */
+  setOracleRequestTimeout(blocks, options) {
+    return this.send('setOracleRequestTimeout', [blocks], options)
+  }
+
+  /** @return {Promise<number[]>} */
+  async getMyIndexes(oracle) {
+    const indexes = await this.call('getMyIndexes', [], {from: oracle})
+    return indexes.map(Number)
+  }
+
+  /**
+   * @param {Flight} flight
+   * @return {Promise<TransactionResult>}
+   */
+  submitOracleResponse(oracle, index, {airline, flight, timestamp}, statusCode, options = {}) {
+    return this.send('submitOracleResponse', [index, airline, flight, timestamp, statusCode], {from: oracle, ...options})
+  }
+}
@@ -0,0 +1,177 @@
+import {amount} from './units'
+
+// balances held by FlightSuretyData, unallocated is ether sent to fund() or the fallback
+export const LEDGER_BALANCES = ['airlines', 'insurance', 'passengers', 'unallocated']
+
+export const LEDGER_COLUMNS = [
+  'blockNumber', 'transactionHash', 'logIndex', 'type', 'account', 'flightKey', 'amount', 'from', 'to',
+  ...LEDGER_BALANCES, 'total',
+]
+
+// FlightSuretyData events moving ether, from and to a balance, null for ether entering or leaving the contract
+const MOVEMENTS = {
+  AirlineFunded: ({airline, amount: value}) => ({type: 'airlineFunding', account: airline, value, from: null, to: 'airlines'}),
+  InsuranceDeposited: ({depositor, amount: value}) => ({type: 'insuranceDeposit', account: depositor, value, from: null, to: 'insurance'}),
+  InsurancePurchased: ({passenger, flightKey, amount: value}) => ({
+    type: 'premium', account: passenger, flightKey, value, from: null, to: 'insurance',
+  }),
+  InsureeCredited: ({passenger, flightKey, payout}) => ({
+    type: 'credit', account: passenger, flightKey, value: payout, from: 'insurance', to: 'passengers',
+  }),
+  PassengerWithdrawal: ({passenger, amount: value}) => ({type: 'withdrawal', account: passenger, value, from: 'passengers', to: null}),
+  FundReceived: ({sender, amount: value}) => ({type: 'fund', account: sender, value, from: null, to: 'unallocated'}),
+}
+
+export const LEDGER_EVENTS = Object.keys(MOVEMENTS)
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} type - airlineFunding, insuranceDeposit, premium, credit, withdrawal or fund
+ * @property {string} account - airline, passenger or sender of the ether
+ * @property {string|null} flightKey
+ * @property {string} amount - wei
+ * @property {string|null} from - balance the ether leaves, null when it enters the contract
+ * @property {string|null} to - balance the ether enters, null when it leaves the contract
+ * @property {string} airlines - wei in each balance after the entry
+ * @property {string} insurance
+ * @property {string} passengers
+ * @property {string} unallocated
+ * @property {string} total
+ */
+
+/**
+ * @typedef {Object} Ledger
+ * @property {number} blockNumber - last block of the events
+ * @property {LedgerEntry[]} entries
+ * @property {Object<string, Amount>} balances - airlines, insurance, passengers, unallocated and total
+ * @property {Object<string, string>} passengerBalances - wei credited and not withdrawn, by passenger
+ */
+
+/**
+ * Rebuild the balances of FlightSuretyData from its money movement events
+ * @param {Web3} web3
+ * @param {Object[]} events - FlightSuretyData events in chain order, from getPastEvents or the event indexer
+ * @param {number} blockNumber - block the events were read up to
+ * @return {Ledger}
+ */
+export const buildLedger = (web3, events, blockNumber) => {
+  const {toBN} = web3.utils
+  const balances = LEDGER_BALANCES.reduce((all, name) => ({...all, [name]: toBN(0)}), {})
+  const totalOf = () => LEDGER_BALANCES.reduce((sum, name) => sum.add(balances[name]), toBN(0))
+  const passengerBalances = {}
+  const entries = events.filter(event => MOVEMENTS[event.event]).map((event) => {
+    const {type, account, flightKey = null, value, from, to} = MOVEMENTS[event.event](event.returnValues)
+    const wei = toBN(value)
+    if (from) balances[from] = balances[from].sub(wei)
+    if (to) balances[to] = balances[to].add(wei)
+    if (from === 'passengers' || to === 'passengers') {
+      const passenger = web3.utils.toChecksumAddress(account)
+      const balance = toBN(passengerBalances[passenger] || 0)
+      passengerBalances[passenger] = (to === 'passengers' ? balance.add(wei) : balance.sub(wei)).toString()
+    }
+    return {
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      type,
+      account: web3.utils.toChecksumAddress(account),
+      flightKey,
+      amount: wei.toString(),
+      from,
+      to,
+      ...LEDGER_BALANCES.reduce((all, name) => ({...all, [name]: balances[name].toString()}), {}),
+      total: totalOf().toString(),
+    }
+  })
+  const total = totalOf()
+  return {
+    blockNumber,
+    entries,
+    balances: [...LEDGER_BALANCES, 'total'].reduce((all, name) => ({
+      ...all,
+      [name]: amount(web3, name === 'total' ? total : balances[name]),
+    }), {}),
+    passengerBalances,
+  }
+}
+
+/**
+ * Money movement events of FlightSuretyData, read from the chain
+ * @param {FlightSuretyClient} client
+ * @param {number} fromBlock - deployment block of the contracts
+ * @return {Promise<Ledger>}
+ */
+export const fetchLedger = async (client, fromBlock = 0) => {
+  const blockNumber = await client.web3.eth.getBlockNumber()
+  const events = await client.flightSuretyData.getPastEvents('allEvents', {fromBlock, toBlock: blockNumber})
+  return buildLedger(client.web3, events, blockNumber)
+}
+
+// quote the cells holding commas or quotes
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** @return {string} CSV of the ledger entries, amounts in wei */
+export const ledgerToCsv = ({entries}) => [LEDGER_COLUMNS, ...entries.map(entry => LEDGER_COLUMNS.map(column => entry[column]))]
+  .map(cells => cells.map(csvCell).join(','))
+  .join('\n')
+
+/**
+ * @typedef {Object} ReconciliationCheck
+ * @property {string} name - airlines, insurance, total or passenger:<address>
+ * @property {string} expected - wei from the ledger
+ * @property {string|null} actual - wei held by the contract, null when it cannot be read, e.g. while paused
+ * @property {string|null} difference - actual minus expected
+ * @property {string} status - ok, mismatch or unavailable
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {number} blockNumber
+ * @property {boolean} isReconciled - no check is a mismatch
+ * @property {ReconciliationCheck[]} checks
+ * @property {ReconciliationCheck[]} mismatches
+ */
+
+/**
+ * Check the ledger against the balances of FlightSuretyData at the last block of the ledger,
+ * the total against the ether the contract actually holds
+ * @param {FlightSuretyClient} client
+ * @param {Ledger} ledger
+ * @return {Promise<Reconciliation>}
+ */
+export const reconcile = async (client, {blockNumber, balances, passengerBalances}) => {
+  const {toBN} = client.web3.utils
+  // balance views of FlightSuretyData revert while the contracts are paused
+  const read = (name, args) => client.dataCall(name, args, {blockNumber}).then(String).catch(() => null)
+  const check = (name, expected, actual) => {
+    if (actual === null) return {name, expected, actual, difference: null, status: 'unavailable'}
+    const difference = toBN(actual).sub(toBN(expected)).toString()
+    return {name, expected, actual, difference, status: difference === '0' ? 'ok' : 'mismatch'}
+  }
+  const passengers = Object.keys(passengerBalances)
+  const [airlines, insurance, contract, ...passengerActuals] = await Promise.all([
+    read('checkAirlineBalance', []),
+    read('checkInsuranceBalance', []),
+    client.web3.eth.getBalance(client.flightSuretyData.options.address, blockNumber).then(String),
+    ...passengers.map(passenger => read('getPassengerBalance', [passenger])),
+  ])
+  const checks = [
+    check('airlines', balances.airlines.wei, airlines),
+    check('insurance', balances.insurance.wei, insurance),
+    check('total', balances.total.wei, contract),
+    ...passengers.map((passenger, i) => check(`passenger:${passenger}`, passengerBalances[passenger], passengerActuals[i])),
+  ]
+  const mismatches = checks.filter(({status}) => status === 'mismatch')
+  return {
+    blockNumber,
+    isReconciled: mismatches.length === 0,
+    checks,
+    mismatches,
+  }
+}
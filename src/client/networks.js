@@ -0,0 +1,19 @@
+export const DEFAULT_NETWORK = 'localhost'
+
+/**
+ * Pick the deployment of a network out of config.json written by the migrations
+ * @return {{url: string, wsUrl: string, chainId: number, appAddress: string, dataAddress: string, deploymentBlock: number}}
+ */
+export function selectNetwork(config, network = DEFAULT_NETWORK) {
+  const entry = config[network]
+  if (!entry || !entry.appAddress || !entry.dataAddress) {
+    const available = Object.keys(config).filter(name => config[name] && config[name].appAddress)
+    throw new Error(`No FlightSurety deployment for network "${network}" in config.json (deployed: ${available.join(', ') || 'none'}). Run \`truffle migrate --network ${network}\` first`)
+  }
+  return {
+    ...entry,
+    network,
+    wsUrl: entry.wsUrl || entry.url.replace(/^http/, 'ws'),
+    deploymentBlock: entry.deploymentBlock || 0,
+  }
+}
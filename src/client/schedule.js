@@ -0,0 +1,162 @@
+import {GAS_MARGIN} from './index'
+
+export const SCHEDULE_COLUMNS = ['flight', 'departure', 'airline']
+
+// departure must carry its timezone, e.g. 2026-10-20T10:00Z or 2026-10-20T12:00:00+02:00
+const ISO_8601_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/
+export const FLIGHT_CODE = /^[A-Za-z0-9]{1,10}$/
+
+/**
+ * @typedef {Object} ScheduleRow
+ * @property {number} row - position in the schedule, from 1 after the CSV header
+ * @property {string} flight
+ * @property {string} departure
+ * @property {string} airline
+ * @property {number} timestamp - departure unix timestamp
+ * @property {string} status - registered, skipped, failed, or dryRun when nothing is sent
+ * @property {string} [reason] - why the row was skipped or failed
+ * @property {number} [gas] - estimated gas
+ * @property {string} [transactionHash]
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {{total: number, registered: number, skipped: number, failed: number, dryRun: number}} summary
+ * @property {ScheduleRow[]} rows
+ */
+
+// split on the commas outside of quotes, schedules have no escaped quotes
+const splitCsvLine = line => line
+  .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  .map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim())
+  const columns = splitCsvLine(header || '').map(column => column.toLowerCase())
+  const missing = SCHEDULE_COLUMNS.filter(column => !columns.includes(column))
+  if (missing.length > 0) {
+    throw new Error(`CSV header must have the columns ${SCHEDULE_COLUMNS.join(', ')}, missing ${missing.join(', ')}`)
+  }
+  return lines.map((line) => {
+    const cells = splitCsvLine(line)
+    return columns.reduce((entry, column, i) => ({...entry, [column]: cells[i]}), {})
+  })
+}
+
+const parseJson = (text) => {
+  let entries
+  try {
+    entries = typeof text === 'string' ? JSON.parse(text) : text
+  } catch (error) {
+    throw new Error(`Schedule is not valid JSON: ${error.message}`)
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON schedule must be an array of {flight, departure, airline}')
+  }
+  return entries
+}
+
+/**
+ * @param {string|Array} schedule - CSV text, JSON text or already parsed JSON
+ * @param {string} format - csv or json
+ * @return {Object[]} entries with flight, departure and airline
+ */
+export const parseSchedule = (schedule, format) => {
+  if (format === 'csv') return parseCsv(String(schedule))
+  if (format === 'json') return parseJson(schedule)
+  throw new Error(`Unknown schedule format ${format}, use csv or json`)
+}
+
+const validateEntry = (web3, entry, now) => {
+  const {flight, departure, airline} = entry || {}
+  if (!flight || !FLIGHT_CODE.test(flight)) return 'Flight code must be 1 to 10 letters or digits'
+  if (!departure || !ISO_8601_WITH_ZONE.test(departure) || Number.isNaN(Date.parse(departure))) {
+    return 'Departure must be an ISO 8601 date with timezone, e.g. 2026-10-20T10:00Z'
+  }
+  if (Date.parse(departure) <= now) return 'Departure is in the past'
+  if (!airline || !web3.utils.isAddress(airline)) return 'Airline is not a valid address'
+  return null
+}
+
+/** @return {ScheduleRow[]} rows, failed when invalid or listed twice */
+export const validateSchedule = (web3, entries, now = Date.now()) => {
+  const seen = {}
+  return entries.map((entry, i) => {
+    const {flight, departure, airline} = entry || {}
+    const row = {row: i + 1, flight, departure, airline}
+    const reason = validateEntry(web3, entry, now)
+    if (reason) return {...row, status: 'failed', reason}
+
+    const valid = {
+      ...row,
+      airline: web3.utils.toChecksumAddress(airline),
+      timestamp: Math.floor(Date.parse(departure) / 1000),
+    }
+    const id = `${valid.airline}:${flight}:${valid.timestamp}`
+    if (seen[id]) return {...valid, status: 'failed', reason: `Same flight as row ${seen[id]}`}
+    seen[id] = valid.row
+    return valid
+  })
+}
+
+const summarize = rows => rows.reduce((summary, {status}) => ({...summary, [status]: summary[status] + 1}), {
+  total: rows.length,
+  registered: 0,
+  skipped: 0,
+  failed: 0,
+  dryRun: 0,
+})
+
+const failureReason = error => error.reason || error.message
+
+/**
+ * Register the flights of a schedule, each one from its airline account
+ * Flights already on-chain are skipped and every row reports its outcome
+ * @param {FlightSuretyClient} client
+ * @param {Object[]} entries - parsed schedule
+ * @param {{dryRun: boolean}} options - dryRun estimates the gas of the registrations without sending them
+ * @return {Promise<ImportReport>}
+ */
+export const importSchedule = async (client, entries, {dryRun = false} = {}) => {
+  const rows = validateSchedule(client.web3, entries)
+  const pending = () => rows.filter(row => !row.status)
+
+  await Promise.all(pending().map(async (row) => {
+    try {
+      if (await client.isFlightRegistered(row)) {
+        Object.assign(row, {status: 'skipped', reason: 'Flight already registered'})
+        return
+      }
+      // estimate every row first, rows which would revert are reported without being sent
+      const estimate = await client.registerFlight(row.flight, row.timestamp, {from: row.airline, dryRun: true})
+      row.gas = estimate.gas
+    } catch (error) {
+      Object.assign(row, {status: 'failed', reason: failureReason(error)})
+    }
+  }))
+
+  if (dryRun) {
+    pending().forEach((row) => { row.status = 'dryRun' })
+    return {summary: summarize(rows), rows}
+  }
+
+  // airlines send in parallel, each one a flight at a time: a row failing before it is broadcast
+  // cannot strand the transactions after it behind a missing nonce
+  const airlines = pending().reduce((groups, row) => ({...groups, [row.airline]: [...(groups[row.airline] || []), row]}), {})
+  await Promise.all(Object.keys(airlines).map(async (airline) => {
+    for (const row of airlines[airline]) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await client.registerFlight(row.flight, row.timestamp, {
+          from: airline,
+          gas: Math.ceil(row.gas * GAS_MARGIN),
+          dryRun: false,
+        })
+        Object.assign(row, {status: 'registered', transactionHash: result.transactionHash, blockNumber: result.blockNumber})
+      } catch (error) {
+        Object.assign(row, {status: 'failed', reason: failureReason(error), transactionHash: error.transactionHash || undefined})
+      }
+    }
+  }))
+  return {summary: summarize(rows), rows}
+}
@@ -0,0 +1,19 @@
+// Ether amounts go in as ether (string, number, BN or BigNumber) and come out as { wei, ether }
+
+const toDecimalString = (value) => {
+  if (value === undefined || value === null || value === '') {
+    throw new Error('Amount is required')
+  }
+  // BigNumber.js prints exponential notation for big numbers in toString()
+  if (typeof value === 'object' && typeof value.toFixed === 'function') return value.toFixed()
+  return String(value)
+}
+
+export const toWei = (web3, ether) => web3.utils.toWei(toDecimalString(ether), 'ether')
+
+export const fromWei = (web3, wei) => web3.utils.fromWei(toDecimalString(wei), 'ether')
+
+export const amount = (web3, wei) => ({
+  wei: toDecimalString(wei),
+  ether: fromWei(web3, wei),
+})
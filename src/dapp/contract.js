@@ -1,22 +1,112 @@
-import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
+import FlightSuretyClient, { selectNetwork, DEFAULT_NETWORK } from '../client';
 import Config from './config.json';
 import Web3 from 'web3';
+import TransactionTracker from './transactions';
+
+// Same as JOIN_FEE in FlightSuretyApp, in ether
+const JOIN_FEE = '10';
+
+export const WALLET_INJECTED = 'injected';
+export const WALLET_GANACHE = 'ganache';
+
+// Adapt a client promise to the node style callbacks used by the dapp
+function callbackify(promise, callback) {
+    promise.then((result) => callback(null, result), (error) => callback(error));
+}
+
+// ?network=<name>, or NETWORK when the dapp is built, picks the entry of config.json
+export function dappNetwork() {
+    return new URLSearchParams(window.location.search).get('network') || process.env.NETWORK || DEFAULT_NETWORK;
+}
+
+// ?wallet=ganache uses the unlocked ganache accounts, otherwise the injected EIP-1193 provider
+function walletMode() {
+    if (new URLSearchParams(window.location.search).get('wallet') === WALLET_GANACHE) return WALLET_GANACHE;
+    if (window.ethereum) return WALLET_INJECTED;
+    return null;
+}
 
 export default class Contract {
     constructor(network, callback) {
 
-        let config = Config[network];
-        this.web3 = new Web3(new Web3.providers.HttpProvider(config.url));
-        this.flightSuretyApp = new this.web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
-        this.initialize(callback);
+        let config = selectNetwork(Config, network);
+        this.config = config;
+        this.mode = walletMode();
+        let provider = this.mode === WALLET_INJECTED ? window.ethereum : new Web3.providers.HttpProvider(config.url);
+        this.web3 = new Web3(provider);
+        this.client = new FlightSuretyClient(this.web3, config);
+        this.flightSuretyApp = this.client.flightSuretyApp;
+        this.flightSuretyData = this.client.flightSuretyData;
         this.owner = null;
         this.airlines = [];
         this.passengers = [];
+        this.accountListeners = [];
+        this.transactions = new TransactionTracker(window.localStorage, config.network);
+        this.transactions.resume(this.web3);
+        this.initialize(callback);
+    }
+
+    // Writes go through the transaction tracker, send gets the options to pass to the client
+    track(label, from, send) {
+        return this.transactions.track(label, from, send);
     }
 
     initialize(callback) {
+        if (this.mode === WALLET_INJECTED) {
+            this.initializeWallet(callback);
+        } else if (this.mode === WALLET_GANACHE) {
+            this.initializeGanache(callback);
+        } else {
+            callback(new Error('No wallet detected. Install an Ethereum wallet, or open the dapp with ?wallet=ganache to use the ganache dev accounts'));
+        }
+    }
+
+    initializeWallet(callback) {
+        let self = this;
+        let ethereum = window.ethereum;
+        let request = ethereum.request
+            ? ethereum.request({ method: 'eth_requestAccounts' })
+            : ethereum.enable();
+        request.then((accounts) => {
+            return self.checkChain(ethereum).then(() => accounts);
+        }).then((accounts) => {
+            self.setAccount(accounts[0]);
+            ethereum.on('accountsChanged', (accounts) => {
+                self.setAccount(accounts[0]);
+                self.accountListeners.forEach((listener) => listener(self.owner));
+            });
+            // contracts may not exist on the new chain, start over
+            ethereum.on('chainChanged', () => window.location.reload());
+            callback();
+        }, callback);
+    }
+
+    checkChain(ethereum) {
+        let self = this;
+        if (!self.config.chainId || !ethereum.request) return Promise.resolve();
+        return ethereum.request({ method: 'eth_chainId' }).then((chainId) => {
+            if (parseInt(chainId, 16) !== Number(self.config.chainId)) {
+                throw new Error(`Wallet is connected to chain ${parseInt(chainId, 16)}, switch it to chain ${self.config.chainId} of network "${self.config.network}"`);
+            }
+        });
+    }
+
+    // The wallet account acts as owner, airline and passenger, the airlines to insure come from getRegisteredAirlines
+    setAccount(account) {
+        this.owner = account || null;
+        this.airlines = account ? [account] : [];
+        this.passengers = account ? [account] : [];
+        this.client.defaults.from = this.owner;
+    }
+
+    onAccountsChanged(listener) {
+        this.accountListeners.push(listener);
+    }
+
+    initializeGanache(callback) {
         this.web3.eth.getAccounts((error, accts) => {
-           
+            if (error) return callback(error);
+
             this.owner = accts[0];
 
             let counter = 1;
@@ -35,22 +125,142 @@ export default class Contract {
 
     isOperational(callback) {
        let self = this;
-       self.flightSuretyApp.methods
-            .isOperational()
-            .call({ from: self.owner}, callback);
+       callbackify(self.client.isOperational(), callback);
+    }
+
+    getOperatingStatus(callback) {
+        let self = this;
+        callbackify(self.client.getOperatingStatusVotes(), callback);
     }
 
+    voteOperatingStatus(airline, mode, callback) {
+        let self = this;
+        let label = mode ? 'Vote to resume' : 'Vote to pause';
+        let vote = self.track(label, airline, (options) => self.client.voteOperatingStatus(mode, { ...options, from: airline })).then((result) => {
+            let values = result.events.OperatingStatusVoted.returnValues;
+            let votes = Number(values.votes);
+            let requiredVotes = Number(values.requiredVotes);
+            return { votes: votes, requiredVotes: requiredVotes, changed: votes >= requiredVotes };
+        });
+        callbackify(vote, callback);
+    }
+
+    // The request is keyed by the registered departure timestamp, any other timestamp is a flight the oracles cannot settle
     fetchFlightStatus(flight, callback) {
         let self = this;
         let payload = {
-            airline: self.airlines[0],
-            flight: flight,
-            timestamp: Math.floor(Date.now() / 1000)
-        } 
-        self.flightSuretyApp.methods
-            .fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
-            .send({ from: self.owner}, (error, result) => {
-                callback(error, payload);
-            });
+            airline: flight.airline,
+            flight: flight.flight,
+            timestamp: flight.timestamp
+        };
+        self.track(`Fetch status of ${flight.flight}`, self.owner, (options) => self.client.fetchFlightStatus(payload, { ...options, from: self.owner }))
+            .then((result) => {
+                payload.blockNumber = result.blockNumber;
+                payload.index = Number(result.events.OracleRequest.returnValues.index);
+                callback(null, payload);
+            }, (error) => callback(error, payload));
+    }
+
+    // Oracle events need a websocket connection, HttpProvider cannot subscribe
+    subscribeOracleEvents(request, callback) {
+        let self = this;
+        if (!self.wsFlightSuretyApp) {
+            let wsWeb3 = new Web3(new Web3.providers.WebsocketProvider(self.config.wsUrl));
+            self.wsFlightSuretyApp = new wsWeb3.eth.Contract(self.flightSuretyApp.options.jsonInterface, self.config.appAddress);
+        }
+        return self.wsFlightSuretyApp.events.allEvents({ fromBlock: request.blockNumber }, (error, event) => {
+            if (error) return callback(error);
+            let values = event.returnValues;
+            let sameFlight = String(values.airline).toLowerCase() === request.airline.toLowerCase()
+                && values.flight === request.flight
+                && Number(values.timestamp) === request.timestamp;
+            if (sameFlight) callback(null, event);
+        });
+    }
+
+    getAirlineStatus(airline, callback) {
+        let self = this;
+        callbackify(self.client.getAirlineStatus(airline, { from: self.owner }), callback);
+    }
+
+    registerAirline(airline, newAirline, callback) {
+        let self = this;
+        callbackify(self.track(`Register airline ${newAirline}`, airline, (options) => self.client.registerAirline(newAirline, { ...options, from: airline })), callback);
+    }
+
+    payFunding(airline, callback) {
+        let self = this;
+        callbackify(self.track('Pay funding', airline, (options) => self.client.payFunding(JOIN_FEE, { ...options, from: airline })), callback);
+    }
+
+    registerFlight(airline, flight, timestamp, callback) {
+        let self = this;
+        callbackify(self.track(`Register flight ${flight}`, airline, (options) => self.client.registerFlight(flight, timestamp, { ...options, from: airline })), callback);
+    }
+
+    addInsuranceBalance(airline, amount, callback) {
+        let self = this;
+        callbackify(self.track(`Add ${amount} ether of insurance balance`, airline, (options) => (
+            self.client.addInsuranceBalance(amount, { ...options, from: airline })
+        )), callback);
+    }
+
+    // Airlines registered on chain, whatever account the wallet is connected with
+    getRegisteredAirlines(callback) {
+        let self = this;
+        self.flightSuretyData.getPastEvents('AirlineRegistered', { fromBlock: self.config.deploymentBlock }, (error, events) => {
+            if (error) return callback(error);
+            let airlines = events
+                .map((event) => self.web3.utils.toChecksumAddress(event.returnValues.newAirline))
+                .filter((airline, index, all) => all.indexOf(airline) === index);
+            callback(null, airlines);
+        });
+    }
+
+    getAirlineFlights(airline, callback) {
+        let self = this;
+        self.flightSuretyData.getPastEvents('FlightRegistered', { fromBlock: self.config.deploymentBlock }, (error, events) => {
+            if (error) return callback(error);
+            let flights = events
+                .map((event) => event.returnValues)
+                .filter((flight) => flight.airline.toLowerCase() === airline.toLowerCase())
+                .map((flight) => ({ airline: flight.airline, flight: flight.flightCode, timestamp: Number(flight.timestamp) }));
+            callback(null, flights);
+        });
+    }
+
+    buyInsurance(passenger, flight, amount, callback) {
+        let self = this;
+        callbackify(self.track(`Buy ${amount} ether of insurance for ${flight.flight}`, passenger, (options) => (
+            self.client.buyInsurance(passenger, flight, amount, options)
+        )), callback);
+    }
+
+    // Policies with the current payout rate of their flight status, 0 when it does not pay out
+    getPassengerPolicies(passenger, callback) {
+        let self = this;
+        callbackify(Promise.all([self.client.getPassengerPolicies(passenger), self.client.getPayoutRates()]).then(([policies, payoutRates]) => (
+            policies.map((policy) => {
+                let payoutRate = payoutRates.find((rate) => rate.statusCode === policy.statusCode);
+                return { ...policy, payoutRate: payoutRate ? payoutRate.rate : 0 };
+            })
+        )), callback);
+    }
+
+    checkInsuranceAmount(passenger, flight, callback) {
+        let self = this;
+        callbackify(self.client.checkInsuranceAmount(passenger, flight).then((result) => result.ether), callback);
+    }
+
+    insurancePayout(passenger, flight, callback) {
+        let self = this;
+        callbackify(self.track(`Claim payout of ${flight.flight}`, passenger, (options) => self.client.insurancePayout(passenger, flight, options)), callback);
+    }
+
+    withdrawPassengerBalance(passenger, amount, callback) {
+        let self = this;
+        callbackify(self.track(`Withdraw ${amount} ether`, passenger, (options) => (
+            self.client.withdrawPassengerBalance(passenger, amount, options)
+        )), callback);
     }
-}
\ No newline at end of file
+}
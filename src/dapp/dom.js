@@ -16,9 +16,31 @@ export default class DOM {
     static span = (...args) => DOM.makeElement(`span`, ...args);
     static img = (...args) => DOM.makeElement(`img`, ...args);
     static td = (...args) => DOM.makeElement(`td`, ...args);
+    static th = (...args) => DOM.makeElement(`th`, ...args);
+    static tr = (...args) => DOM.makeElement(`tr`, ...args);
+    static thead = (...args) => DOM.makeElement(`thead`, ...args);
+    static tbody = (...args) => DOM.makeElement(`tbody`, ...args);
+    static table = (...args) => DOM.makeElement(`table`, ...args);
+    static form = (...args) => DOM.makeElement(`form`, ...args);
+    static label = (...args) => DOM.makeElement(`label`, ...args);
+    static input = (...args) => DOM.makeElement(`input`, ...args);
+    static select = (...args) => DOM.makeElement(`select`, ...args);
+    static option = (...args) => DOM.makeElement(`option`, ...args);
     static attributeExceptions = [
       `role`,
     ];
+
+    // Field validators return an error message, or null when the value is valid
+    static validators = {
+      address: (value) => (/^0x[0-9a-fA-F]{40}$/.test(value) ? null : `Not a valid address`),
+      etherAmount: (max) => (value) => {
+        if (!/^\d*\.?\d+$/.test(value) || !(Number(value) > 0)) return `Amount must be greater than 0`;
+        if (max !== undefined && Number(value) > max) return `Amount cannot be over ${max} ether`;
+        return null;
+      },
+      flightCode: (value) => (/^[A-Za-z0-9]{1,10}$/.test(value) ? null : `Flight code must be 1 to 10 letters or digits`),
+      timestamp: (value) => (/^\d+$/.test(value) ? null : `Departure must be a unix timestamp`),
+    };
     
     static elid(id) { 
       return document.getElementById(id);
@@ -67,7 +89,7 @@ export default class DOM {
         DOM.appendText(el, textOrPropsOrChild);
       } else if (typeof textOrPropsOrChild === `object`) {
         Object.keys(textOrPropsOrChild).forEach((propName) => {
-          if (propName in el || attributeExceptions.includes(propName)) {
+          if (propName in el || DOM.attributeExceptions.includes(propName)) {
             const value = textOrPropsOrChild[propName];
     
             if (propName === `style`) {
@@ -85,5 +107,104 @@ export default class DOM {
     
       return el;
     }
+
+    static clear(el) {
+      while (el.firstChild) {
+        el.removeChild(el.firstChild);
+      }
+    }
+
+    // Replace the element of the same id in place, or append it to parent the first time
+    static renderKeyed(parent, el) {
+      const current = DOM.elid(el.id);
+      if (current) {
+        current.replaceWith(el);
+      } else {
+        parent.appendChild(el);
+      }
+      return el;
+    }
+
+    // Section with a title and a description, re-rendered in place under its key
+    static keyedSection(parent, key, title, description, ...children) {
+      return DOM.renderKeyed(parent, DOM.section({ id: key }, DOM.h2(title), DOM.h5(description), ...children));
+    }
+
+    /**
+     * Table sorted by a click on a column header
+     * columns: [{ key, label, value: (row) => sort value, render: (row) => text or element }]
+     * sort: { key, ascending }, kept up to date on each click so a table rebuilt with the same object keeps its order
+     */
+    static dataTable({ id, columns, rows, sort = {}, className = `table table-dark table-sm` }) {
+      const body = DOM.tbody();
+      const headers = columns.map((column) => DOM.th({ className: `sortable`, role: `button` }, column.label));
+      const valueOf = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+      const renderRows = () => {
+        const column = columns.find((item) => item.key === sort.key);
+        const compare = (a, b) => {
+          const left = valueOf(column, a);
+          const right = valueOf(column, b);
+          if (left === right) return 0;
+          return (left < right ? -1 : 1) * (sort.ascending === false ? -1 : 1);
+        };
+        const sorted = column ? [...rows].sort(compare) : rows;
+        DOM.clear(body);
+        sorted.forEach((row) => {
+          body.appendChild(DOM.tr(columns.map((item) => DOM.td([].concat(item.render ? item.render(row) : String(valueOf(item, row)))))));
+        });
+        headers.forEach((header, i) => {
+          const sortOrder = sort.ascending === false ? `descending` : `ascending`;
+          header.setAttribute(`aria-sort`, columns[i].key === sort.key ? sortOrder : `none`);
+        });
+      };
+
+      headers.forEach((header, i) => {
+        header.addEventListener(`click`, () => {
+          sort.ascending = sort.key === columns[i].key ? sort.ascending === false : true; // eslint-disable-line no-param-reassign
+          sort.key = columns[i].key; // eslint-disable-line no-param-reassign
+          renderRows();
+        });
+      });
+      renderRows();
+      return DOM.table({ id, className }, DOM.thead(DOM.tr(headers)), body);
+    }
+
+    /**
+     * Form with a labelled input per field, submitted once every field passes its validator
+     * fields: [{ name, label, type, placeholder, value, validate: (value) => error message or null }]
+     * onSubmit receives the trimmed values by field name
+     */
+    static formBuilder({ id, fields, submitLabel, submitClassName = `btn btn-primary`, onSubmit }) {
+      const inputs = fields.map((field) => DOM.input({
+        name: field.name,
+        type: field.type || `text`,
+        placeholder: field.placeholder,
+        value: field.value,
+        step: field.step,
+      }));
+      const errors = fields.map(() => DOM.span({ className: `field-error` }));
+      const form = DOM.form(
+        { id, className: `row top-20`, noValidate: true },
+        fields.map((field, i) => [DOM.label({ className: `form` }, field.label), inputs[i], errors[i]]),
+        DOM.button({ type: `submit`, className: submitClassName }, submitLabel),
+      );
+
+      form.addEventListener(`submit`, (event) => {
+        event.preventDefault();
+        const values = {};
+        let valid = true;
+        fields.forEach((field, i) => {
+          const value = inputs[i].value.trim();
+          const error = field.validate ? field.validate(value) : null;
+          inputs[i].classList.toggle(`is-invalid`, Boolean(error));
+          errors[i].textContent = error || ``;
+          values[field.name] = value;
+          valid = valid && !error;
+        });
+        if (valid) onSubmit(values, form);
+      });
+      return form;
+    }
   }
     
\ No newline at end of file
@@ -1,50 +1,470 @@
 
 import DOM from './dom';
-import Contract from './contract';
+import Contract, { WALLET_INJECTED, dappNetwork } from './contract';
+import OracleFeed, { MIN_RESPONSES, STATUS_LABELS, oracleTimeout } from './oracleFeed';
+import Notifications, { serverUrl, notificationMessage } from './notifications';
+import { TX_PENDING, TX_CONFIRMED } from './transactions';
 import './flightsurety.css';
 
+// Same as MAX_INSURANCE_AMOUNT in FlightSuretyApp
+const MAX_INSURANCE_AMOUNT = 1;
+
+const TOAST_DURATION = 8000;
+
+// The contracts can be paused by the airlines at any time
+const STATUS_POLL_INTERVAL = 10000;
+
+const STATUS_CODE_UNKNOWN = 0;
 
 (async() => {
 
     let result = null;
+    let oracleFeed = null;
+
+    let contract = null;
+    try {
+        contract = new Contract(dappNetwork(), initialize);
+    } catch (error) {
+        display('Network', 'Select a deployed network', [ { label: 'Network', error: error } ]);
+    }
+
+    function initialize(error) {
+
+        if (error) {
+            display('Wallet', 'Connect an account', [ { label: 'Wallet', error: error } ]);
+            return;
+        }
+        displayAccount(contract);
+        displayTransactions(contract.transactions.entries);
+        contract.transactions.onChange(displayTransactions);
+        DOM.elid('clear-transactions').addEventListener('click', () => contract.transactions.clear());
+
+        // Flights of any registered airline can be insured and sent to the oracles, not only of the connected account
+        function refreshRegisteredAirlines() {
+            contract.getRegisteredAirlines((error, airlines) => {
+                if (error) return console.log('Fail to load the registered airlines', error);
+                fillSelect('insurance-airline', airlines);
+                fillSelect('oracle-airline', airlines);
+                refreshOracleFlights();
+            });
+        }
+
+        // Only registered flights can be settled by the oracles, their departure timestamp keys the request
+        let oracleFlights = [];
+
+        function refreshOracleFlights() {
+            let airline = DOM.elid('oracle-airline').value;
+            let select = DOM.elid('oracle-flight');
+            DOM.clear(select);
+            oracleFlights = [];
+            if (!airline) return;
+            contract.getAirlineFlights(airline, (error, flights) => {
+                if (error) return console.log('Fail to load the flights of ' + airline, error);
+                // an older answer when the airline changed in between
+                if (DOM.elid('oracle-airline').value !== airline) return;
+                oracleFlights = flights;
+                flights.forEach((flight, index) => {
+                    select.appendChild(DOM.option({ value: index }, `${flight.flight} ${new Date(flight.timestamp * 1000).toLocaleString()}`));
+                });
+            });
+        }
 
-    let contract = new Contract('localhost', () => {
+        DOM.elid('oracle-airline').addEventListener('change', refreshOracleFlights);
+
+        let notifications = new Notifications(serverUrl(), (notification) => {
+            displayToast(notificationMessage(notification));
+            if (notification.type === 'airlineRegistered') refreshRegisteredAirlines();
+            else refreshPolicies();
+        });
+        notifications.subscribe({ airlines: contract.airlines, passengers: contract.passengers });
+        contract.onAccountsChanged(() => {
+            displayAccount(contract);
+            fillSelect('airline-address', contract.airlines);
+            fillSelect('passenger-address', contract.passengers);
+            refreshRegisteredAirlines();
+            refreshPolicies();
+            notifications.subscribe({ airlines: contract.airlines, passengers: contract.passengers });
+        });
 
         // Read transaction
         contract.isOperational((error, result) => {
             console.log(error,result);
             display('Operational Status', 'Check if contract is operational', [ { label: 'Operational Status', error: error, value: result} ]);
         });
+
+        // Circuit breaker, funded airlines vote to pause and resume
+        function refreshOperatingStatus() {
+            contract.getOperatingStatus((error, status) => {
+                if (error) return console.log(error);
+                displayOperatingStatus(status);
+            });
+        }
+
+        function voteOperatingStatus(mode) {
+            let airline = DOM.elid('airline-address').value;
+            contract.voteOperatingStatus(airline, mode, (error, result) => {
+                let value = result && (result.changed
+                    ? (mode ? 'Contracts resumed' : 'Contracts paused')
+                    : `${result.votes} / ${result.requiredVotes} votes`);
+                display('Operating Status', mode ? 'Vote to resume' : 'Vote to pause', [ { label: 'Vote', error: error, value: value } ]);
+                refreshOperatingStatus();
+            });
+        }
+
+        refreshOperatingStatus();
+        setInterval(refreshOperatingStatus, STATUS_POLL_INTERVAL);
+        DOM.elid('vote-pause').addEventListener('click', () => voteOperatingStatus(false));
+        DOM.elid('vote-resume').addEventListener('click', () => voteOperatingStatus(true));
     
 
         // User-submitted transaction
         DOM.elid('submit-oracle').addEventListener('click', () => {
-            let flight = DOM.elid('flight-number').value;
+            let flight = oracleFlights[DOM.elid('oracle-flight').value];
+            if (!flight) {
+                display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: new Error('Select a registered flight') } ]);
+                return;
+            }
             // Write transaction
             contract.fetchFlightStatus(flight, (error, result) => {
                 display('Oracles', 'Trigger oracles', [ { label: 'Fetch Flight Status', error: error, value: result.flight + ' ' + result.timestamp} ]);
+                if (error) return;
+                if (oracleFeed) oracleFeed.stop();
+                oracleFeed = new OracleFeed(contract, result, oracleTimeout(), displayOracleFeed);
+                oracleFeed.start();
+            });
+        })
+
+        // Airline
+        fillSelect('airline-address', contract.airlines);
+
+        DOM.elid('airline-status').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value;
+            contract.getAirlineStatus(airline, (error, result) => {
+                display('Airline', `Status of ${airline}`, [
+                    { label: 'Registered', error: error, value: result && result.isRegistered },
+                    { label: 'Funded', error: error, value: result && result.hasPaidFund }
+                ]);
+            });
+        })
+
+        DOM.elid('pay-funding').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value;
+            contract.payFunding(airline, (error, result) => {
+                display('Airline', 'Pay funding', [ { label: 'Pay Funding', error: error, value: `${airline} funded` } ]);
+            });
+        })
+
+        DOM.elid('register-airline').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value;
+            let candidate = DOM.elid('candidate-address').value.trim();
+            let error = DOM.validators.address(candidate);
+            if (error) {
+                display('Airline', 'Register airline', [ { label: 'Register Airline', error: `Candidate: ${error}` } ]);
+                return;
+            }
+            contract.registerAirline(airline, candidate, (error, result) => {
+                if (error) {
+                    display('Airline', 'Register airline', [ { label: 'Register Airline', error: error } ]);
+                    return;
+                }
+                displayCandidate(contract, candidate);
+            });
+        })
+
+        DOM.elid('candidate-status').addEventListener('click', () => {
+            let candidate = DOM.elid('candidate-address').value.trim();
+            let error = DOM.validators.address(candidate);
+            if (error) {
+                display('Airline', 'Candidate votes', [ { label: 'Votes', error: `Candidate: ${error}` } ]);
+                return;
+            }
+            displayCandidate(contract, candidate);
+        })
+
+        DOM.elid('register-flight').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value;
+            let flight = DOM.elid('airline-flight').value.trim();
+            let timestamp = DOM.elid('airline-timestamp').value.trim();
+            let error = validateFlight({ flight: flight, timestamp: timestamp });
+            if (error) {
+                display('Airline', 'Register flight', [ { label: 'Register Flight', error: error } ]);
+                return;
+            }
+            contract.registerFlight(airline, flight, timestamp, (error, result) => {
+                display('Airline', 'Register flight', [ { label: 'Register Flight', error: error, value: `${flight} ${timestamp}` } ]);
+            });
+        })
+
+        DOM.renderKeyed(DOM.elid('airline-section'), DOM.formBuilder({
+            id: 'insurance-balance-form',
+            fields: [ { name: 'amount', label: 'Insurance Balance (ether)', type: 'number', step: '0.1', validate: DOM.validators.etherAmount() } ],
+            submitLabel: 'Add Insurance Balance',
+            submitClassName: 'btn btn-primary write-action',
+            onSubmit: (values) => {
+                let airline = DOM.elid('airline-address').value;
+                contract.addInsuranceBalance(airline, values.amount, (error, result) => {
+                    display('Airline', 'Add insurance balance', [ { label: 'Add Insurance Balance', error: error, value: `${values.amount} ether` } ]);
+                });
+            }
+        }));
+
+        // Flights of the airline, sorted by departure until a column header is clicked
+        let flightsSort = { key: 'departure', ascending: true };
+
+        DOM.elid('airline-flights').addEventListener('click', () => {
+            let airline = DOM.elid('airline-address').value;
+            contract.getAirlineFlights(airline, (error, flights) => {
+                if (error || flights.length === 0) {
+                    display('Airline', `Flights of ${airline}`, [ { label: 'Flights', error: error, value: 'No registered flight' } ]);
+                    return;
+                }
+                DOM.keyedSection(DOM.elid('display-wrapper'), 'airline-flights-list', 'Flights', `Flights of ${airline}`, DOM.dataTable({
+                    columns: [
+                        { key: 'flight', label: 'Flight' },
+                        { key: 'departure', label: 'Departure', value: (flight) => flight.timestamp, render: (flight) => new Date(flight.timestamp * 1000).toLocaleString() },
+                        { key: 'timestamp', label: 'Timestamp' }
+                    ],
+                    rows: flights,
+                    sort: flightsSort
+                }));
+            });
+        })
+
+        // Passenger
+        fillSelect('passenger-address', contract.passengers);
+        refreshRegisteredAirlines();
+
+        // Policies stay on screen once shown and follow the selected passenger, refreshes keep the sorted column
+        let policiesShown = false;
+        let policiesSort = { key: 'departure', ascending: true };
+
+        function refreshPolicies() {
+            if (!policiesShown) return;
+            let passenger = DOM.elid('passenger-address').value;
+            contract.getPassengerPolicies(passenger, (error, policies) => displayPolicies(error, policies, policiesSort));
+        }
+
+        DOM.elid('passenger-policies').addEventListener('click', () => {
+            policiesShown = true;
+            refreshPolicies();
+        })
+        DOM.elid('passenger-address').addEventListener('change', refreshPolicies);
+
+        DOM.elid('buy-insurance').addEventListener('click', () => {
+            let passenger = DOM.elid('passenger-address').value;
+            let flight = readFlight();
+            let amount = DOM.elid('insurance-amount').value;
+            let error = validateFlight(flight) || validateInsuranceAmount(amount);
+            if (error) {
+                display('Passenger', 'Buy insurance', [ { label: 'Buy Insurance', error: error } ]);
+                return;
+            }
+            contract.buyInsurance(passenger, flight, amount, (error, result) => {
+                display('Passenger', 'Buy insurance', [ { label: 'Buy Insurance', error: error, value: `${amount} ether for ${flight.flight} ${flight.timestamp}` } ]);
+                refreshPolicies();
+            });
+        })
+
+        DOM.elid('check-insurance').addEventListener('click', () => {
+            let passenger = DOM.elid('passenger-address').value;
+            let flight = readFlight();
+            let error = validateFlight(flight);
+            if (error) {
+                display('Passenger', 'Check insurance', [ { label: 'Insurance Amount', error: error } ]);
+                return;
+            }
+            contract.checkInsuranceAmount(passenger, flight, (error, result) => {
+                display('Passenger', 'Check insurance', [ { label: 'Insurance Amount', error: error, value: `${result} ether` } ]);
             });
         })
+
+        DOM.elid('claim-payout').addEventListener('click', () => {
+            let passenger = DOM.elid('passenger-address').value;
+            let flight = readFlight();
+            let error = validateFlight(flight);
+            if (error) {
+                display('Passenger', 'Claim insurance payout', [ { label: 'Claim Payout', error: error } ]);
+                return;
+            }
+            contract.insurancePayout(passenger, flight, (error, result) => {
+                display('Passenger', 'Claim insurance payout', [ { label: 'Claim Payout', error: error, value: `Payout of ${flight.flight} credited` } ]);
+                refreshPolicies();
+            });
+        })
+
+        DOM.renderKeyed(DOM.elid('passenger-section'), DOM.formBuilder({
+            id: 'withdraw-form',
+            fields: [ { name: 'amount', label: 'Withdraw (ether)', type: 'number', step: '0.01', validate: DOM.validators.etherAmount() } ],
+            submitLabel: 'Withdraw',
+            submitClassName: 'btn btn-primary write-action',
+            onSubmit: (values) => {
+                let passenger = DOM.elid('passenger-address').value;
+                contract.withdrawPassengerBalance(passenger, values.amount, (error, result) => {
+                    display('Passenger', 'Withdraw credited balance', [ { label: 'Withdraw', error: error, value: `${values.amount} ether withdrawn` } ]);
+                });
+            }
+        }));
     
-    });
+    }
     
 
 })();
 
 
+// Each title has one section, re-rendered in place with the latest results
 function display(title, description, results) {
-    let displayDiv = DOM.elid("display-wrapper");
-    let section = DOM.section();
-    section.appendChild(DOM.h2(title));
-    section.appendChild(DOM.h5(description));
-    results.map((result) => {
-        let row = section.appendChild(DOM.div({className:'row'}));
-        row.appendChild(DOM.div({className: 'col-sm-4 field'}, result.label));
-        row.appendChild(DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value)));
-        section.appendChild(row);
-    })
-    displayDiv.append(section);
+    let key = `display-${title.toLowerCase().replace(/\W+/g, '-')}`;
+    DOM.keyedSection(DOM.elid('display-wrapper'), key, title, description, resultRows(results));
+}
+
+function resultRows(results) {
+    return results.map((result) => DOM.div({className:'row'},
+        DOM.div({className: 'col-sm-4 field'}, result.label),
+        DOM.div({className: 'col-sm-8 field-value'}, result.error ? String(result.error) : String(result.value))
+    ));
+}
+
+// Show the paused banner and disable the write actions while the contracts are paused
+function displayOperatingStatus(status) {
+    let votes = `${status.votes} / ${status.requiredVotes} airline votes`;
+    DOM.elid('paused-banner').hidden = status.isOperational;
+    DOM.elid('resume-votes').textContent = status.isOperational ? '' : `(${votes} to resume)`;
+    DOM.elid('pause-votes').textContent = status.isOperational && status.votes > 0 ? `${votes} to pause` : '';
+    document.querySelectorAll('.write-action').forEach((button) => {
+        button.disabled = !status.isOperational;
+    });
+}
+
+function displayToast(message) {
+    if (!message) return;
+    let toast = DOM.div({ className: 'toast-message' }, message);
+    let remove = () => toast.remove();
+    toast.addEventListener('click', remove);
+    DOM.elid('toasts').appendChild(toast);
+    setTimeout(remove, TOAST_DURATION);
+}
+
+// Re-render the oracle feed section in place
+function displayOracleFeed(state) {
+    let request = state.request;
+    let retries = state.retries ? `, retry ${state.retries}` : '';
+
+    let stateLabel = {
+        waiting: `Waiting for oracles, ${state.progress} / ${MIN_RESPONSES} matching responses`,
+        expired: 'Request expired without consensus, waiting for a new request',
+        verified: `Verified: ${STATUS_LABELS[state.verifiedStatus]} (${state.verifiedStatus})`,
+        timeout: 'No consensus reached in time'
+    }[state.status];
+    let rows = [ { label: 'Consensus', error: state.error, value: stateLabel } ];
+    Object.keys(state.reports).forEach((statusCode) => {
+        rows.push({ label: STATUS_LABELS[statusCode] || statusCode, value: `${state.reports[statusCode]} reports` });
+    });
+    DOM.keyedSection(DOM.elid('display-wrapper'), 'oracle-feed', 'Oracle Consensus',
+        `${request.flight} ${request.timestamp}, request index ${state.index}${retries}`, resultRows(rows));
+}
+
+function payoutState(policy) {
+    if (policy.isPayout) return 'Credited';
+    if (policy.payoutRate > 0) return `Claimable, ${policy.payoutRate}% of the premium`;
+    if (policy.statusCode === STATUS_CODE_UNKNOWN) return 'Waiting for flight status';
+    return 'No payout';
+}
+
+// Replace the policies table of the My Policies section
+function displayPolicies(error, policies, sort) {
+    let list = DOM.elid('policies-list');
+    DOM.clear(list);
+    let summary = DOM.elid('policies-summary');
+    if (error) {
+        summary.textContent = String(error);
+        return;
+    }
+    summary.textContent = policies.length === 0 ? 'No policy bought yet' : `${policies.length} policies`;
+    if (policies.length === 0) return;
+    list.appendChild(DOM.dataTable({
+        id: 'policies-table',
+        columns: [
+            { key: 'flight', label: 'Flight' },
+            { key: 'departure', label: 'Departure', value: (policy) => policy.timestamp, render: (policy) => new Date(policy.timestamp * 1000).toLocaleString() },
+            { key: 'premium', label: 'Premium', value: (policy) => Number(policy.premium.ether), render: (policy) => `${policy.premium.ether} ether` },
+            { key: 'status', label: 'Status', value: (policy) => policy.statusCode, render: (policy) => STATUS_LABELS[policy.statusCode] || String(policy.statusCode) },
+            { key: 'payout', label: 'Payout', value: payoutState },
+            { key: 'credited', label: 'Credited', value: (policy) => Number(policy.credited.ether), render: (policy) => (policy.isPayout ? `${policy.credited.ether} ether` : '-') }
+        ],
+        rows: policies,
+        sort: sort
+    }));
+}
+
+function transactionState(entry) {
+    if (entry.status === TX_PENDING) return 'Pending';
+    if (entry.status === TX_CONFIRMED) return `Confirmed in block ${entry.blockNumber}, ${entry.gasUsed} gas`;
+    return `Failed: ${entry.reason}`;
+}
+
+// Latest transactions first until a column header is clicked
+let transactionsSort = { key: 'time', ascending: false };
+
+function displayTransactions(entries) {
+    let pending = entries.filter((entry) => entry.status === TX_PENDING).length;
+    DOM.elid('transactions-summary').textContent = entries.length === 0
+        ? 'No transaction sent yet'
+        : `${entries.length} transactions, ${pending} pending`;
+    let list = DOM.elid('transactions-list');
+    DOM.clear(list);
+    if (entries.length === 0) return;
+    list.appendChild(DOM.dataTable({
+        id: 'transactions-table',
+        columns: [
+            { key: 'time', label: 'Sent', value: (entry) => entry.submittedAt, render: (entry) => new Date(entry.submittedAt).toLocaleString() },
+            { key: 'label', label: 'Action' },
+            { key: 'from', label: 'From' },
+            { key: 'status', label: 'Status', render: (entry) => DOM.span({ className: `tx-${entry.status}` }, transactionState(entry)) },
+            { key: 'transactionHash', label: 'Transaction', render: (entry) => entry.transactionHash || '-' }
+        ],
+        rows: entries,
+        sort: transactionsSort
+    }));
+}
+
+function displayCandidate(contract, candidate) {
+    contract.getAirlineStatus(candidate, (error, result) => {
+        let votes = result && (result.isRegistered
+            ? 'Registered'
+            : `${result.votes} / ${result.requiredVotes} votes`);
+        display('Airline', `Candidate ${candidate}`, [ { label: 'Votes', error: error, value: votes } ]);
+    });
+}
+
+function displayAccount(contract) {
+    DOM.keyedSection(DOM.elid('display-wrapper'), 'wallet-account', 'Account',
+        contract.mode === WALLET_INJECTED ? 'Connected wallet' : 'Ganache dev accounts',
+        resultRows([ { label: 'Address', value: contract.owner || 'Wallet is locked' } ]));
+}
+
+function fillSelect(id, addresses) {
+    let select = DOM.elid(id);
+    DOM.clear(select);
+    addresses.forEach((address) => {
+        select.appendChild(DOM.option({ value: address }, address));
+    });
+}
+
+function readFlight() {
+    return {
+        airline: DOM.elid('insurance-airline').value,
+        flight: DOM.elid('insurance-flight').value.trim(),
+        timestamp: DOM.elid('insurance-timestamp').value.trim()
+    };
+}
+
+function validateFlight(flight) {
+    return DOM.validators.flightCode(flight.flight) || DOM.validators.timestamp(flight.timestamp);
+}
 
+function validateInsuranceAmount(amount) {
+    let error = DOM.validators.etherAmount(MAX_INSURANCE_AMOUNT)(amount);
+    return error && `Insurance: ${error}`;
 }
 
 
@@ -0,0 +1,61 @@
+import { STATUS_LABELS } from './oracleFeed';
+
+const STATUS_CODE_LATE_AIRLINE = 20;
+const NOTIFICATION_TYPES = ['flightStatus', 'policyCredited', 'airlineRegistered'];
+
+// Server pushing the notifications, ?server=<url> or SERVER_URL when the dapp is built
+export const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+export function serverUrl() {
+    return new URLSearchParams(window.location.search).get('server') || process.env.SERVER_URL || DEFAULT_SERVER_URL;
+}
+
+export function notificationMessage(notification) {
+    switch (notification.type) {
+        case 'policyCredited':
+            return `Your flight ${notification.flight} was verified late, ${notification.payout.ether} ETH credited`;
+        case 'flightStatus':
+            return notification.statusCode === STATUS_CODE_LATE_AIRLINE
+                ? `Flight ${notification.flight} was verified late because of the airline`
+                : `Flight ${notification.flight} status: ${STATUS_LABELS[notification.statusCode] || notification.statusCode}`;
+        case 'airlineRegistered':
+            return `Airline ${notification.airline} is registered`;
+        default:
+            return null;
+    }
+}
+
+// Server-sent notifications about the flights, airlines and passengers of the dapp accounts
+export default class Notifications {
+    constructor(url, onNotification) {
+        this.url = url;
+        this.onNotification = onNotification;
+        this.source = null;
+        // ids already shown, the server replays missed notifications on reconnect
+        this.seen = new Set();
+    }
+
+    subscribe({ airlines, passengers }) {
+        let self = this;
+        self.close();
+        if (!window.EventSource) return;
+        let query = new URLSearchParams();
+        if (airlines.length) query.set('airline', airlines.join(','));
+        if (passengers.length) query.set('passenger', passengers.join(','));
+        self.source = new window.EventSource(`${self.url}/api/notifications?${query}`);
+        NOTIFICATION_TYPES.forEach((type) => {
+            self.source.addEventListener(type, (message) => {
+                if (self.seen.has(message.lastEventId)) return;
+                self.seen.add(message.lastEventId);
+                self.onNotification(JSON.parse(message.data));
+            });
+        });
+    }
+
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
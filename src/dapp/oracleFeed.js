@@ -0,0 +1,101 @@
+// Same as MIN_RESPONSES in FlightSuretyApp
+export const MIN_RESPONSES = 3;
+
+// Seconds to wait for consensus, can be changed with ?oracleTimeout=<seconds>
+export const DEFAULT_TIMEOUT = 60;
+
+export const STATUS_LABELS = {
+    0: 'Unknown',
+    10: 'On Time',
+    20: 'Late Airline',
+    30: 'Late Weather',
+    40: 'Late Technical',
+    50: 'Late Other'
+};
+
+export function oracleTimeout() {
+    let param = new URLSearchParams(window.location.search).get('oracleTimeout');
+    let seconds = Number(param);
+    return param && seconds > 0 ? seconds : DEFAULT_TIMEOUT;
+}
+
+// Follow the oracle reports of a flight status request until consensus or timeout
+export default class OracleFeed {
+    constructor(contract, request, timeout, onUpdate) {
+        this.contract = contract;
+        this.request = request;
+        this.timeout = timeout;
+        this.onUpdate = onUpdate;
+        this.subscription = null;
+        this.timer = null;
+        this.state = {
+            request: request,
+            index: request.index,
+            status: 'waiting',
+            reports: {},
+            total: 0,
+            progress: 0,
+            retries: 0,
+            verifiedStatus: null,
+            error: null
+        };
+    }
+
+    start() {
+        let self = this;
+        self.subscription = self.contract.subscribeOracleEvents(self.request, (error, event) => {
+            if (error) {
+                self.update({ error: error });
+                return;
+            }
+            if (event.event === 'OracleReport') {
+                self.addReport(Number(event.returnValues.status));
+            } else if (event.event === 'OracleRequestExpired') {
+                self.update({ status: 'expired' });
+            } else if (event.event === 'OracleRequest' && event.blockNumber > self.request.blockNumber) {
+                // the server reissues expired requests, follow the new one
+                self.update({
+                    status: 'waiting',
+                    index: Number(event.returnValues.index),
+                    reports: {},
+                    total: 0,
+                    progress: 0,
+                    retries: self.state.retries + 1
+                });
+            } else if (event.event === 'FlightStatusInfo') {
+                self.stop();
+                self.update({ status: 'verified', verifiedStatus: Number(event.returnValues.status) });
+            }
+        });
+        self.timer = setTimeout(() => {
+            self.stop();
+            self.update({ status: 'timeout' });
+        }, self.timeout * 1000);
+        self.onUpdate(self.state);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        if (this.subscription) {
+            this.subscription.unsubscribe();
+            this.subscription = null;
+        }
+    }
+
+    addReport(statusCode) {
+        if (this.state.status !== 'waiting') return;
+        let reports = Object.assign({}, this.state.reports);
+        reports[statusCode] = (reports[statusCode] || 0) + 1;
+        let leading = Math.max(...Object.values(reports));
+        this.update({
+            reports: reports,
+            total: this.state.total + 1,
+            progress: Math.min(leading, MIN_RESPONSES)
+        });
+    }
+
+    update(changes) {
+        this.state = Object.assign({}, this.state, changes);
+        this.onUpdate(this.state);
+    }
+}
@@ -0,0 +1,131 @@
+// Transactions kept in the history, the oldest are dropped first
+export const HISTORY_LIMIT = 50;
+
+// Milliseconds between the receipt checks of the transactions resumed after a reload
+export const RECEIPT_POLL_INTERVAL = 3000;
+
+export const TX_PENDING = 'pending';
+export const TX_CONFIRMED = 'confirmed';
+export const TX_FAILED = 'failed';
+
+function storageKey(network) {
+    return `flightsurety.transactions.${network}`;
+}
+
+// Follow every write of the dapp from sending to its receipt, with a history kept in local storage
+export default class TransactionTracker {
+    constructor(storage, network) {
+        this.storage = storage;
+        this.key = storageKey(network);
+        this.listeners = [];
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            let entries = JSON.parse(this.storage.getItem(this.key) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        let self = this;
+        self.entries = self.entries.slice(-HISTORY_LIMIT);
+        try {
+            self.storage.setItem(self.key, JSON.stringify(self.entries));
+        } catch (error) {
+            console.log('Fail to save the transaction history', error);
+        }
+        self.listeners.forEach((listener) => listener(self.entries));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    update(entry, changes) {
+        Object.assign(entry, changes);
+        this.save();
+    }
+
+    /**
+     * Record a transaction until it is confirmed or failed
+     * send receives the client options reporting the transaction hash and resolves with the TransactionResult
+     * @return {Promise<TransactionResult>} result of send, rejected with its error
+     */
+    track(label, from, send) {
+        let self = this;
+        let entry = {
+            id: `${Date.now()}-${self.entries.length}`,
+            label: label,
+            from: from,
+            status: TX_PENDING,
+            submittedAt: Date.now(),
+            transactionHash: null,
+            blockNumber: null,
+            gasUsed: null,
+            reason: null
+        };
+        self.entries.push(entry);
+        self.save();
+        let options = { onTransactionHash: (hash) => self.update(entry, { transactionHash: hash }) };
+        return send(options).then((result) => {
+            self.update(entry, {
+                status: TX_CONFIRMED,
+                transactionHash: result.transactionHash,
+                blockNumber: result.blockNumber,
+                gasUsed: result.gasUsed
+            });
+            return result;
+        }, (error) => {
+            self.update(entry, {
+                status: TX_FAILED,
+                transactionHash: error.transactionHash || entry.transactionHash,
+                reason: error.reason || error.message
+            });
+            throw error;
+        });
+    }
+
+    // Transactions still pending when the page was closed are checked until they are mined or the node drops them
+    resume(web3) {
+        let self = this;
+        self.entries.filter((entry) => entry.status === TX_PENDING).forEach((entry) => {
+            if (!entry.transactionHash) {
+                self.update(entry, { status: TX_FAILED, reason: 'Page closed before the transaction was sent' });
+                return;
+            }
+            self.pollReceipt(web3, entry);
+        });
+    }
+
+    pollReceipt(web3, entry) {
+        let self = this;
+        let poll = () => self.pollReceipt(web3, entry);
+        web3.eth.getTransactionReceipt(entry.transactionHash).then((receipt) => {
+            if (receipt) {
+                self.update(entry, receipt.status === false
+                    ? { status: TX_FAILED, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, reason: 'Reverted' }
+                    : { status: TX_CONFIRMED, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+                return null;
+            }
+            return web3.eth.getTransaction(entry.transactionHash).then((transaction) => {
+                if (!transaction) {
+                    self.update(entry, { status: TX_FAILED, reason: 'Dropped by the node' });
+                } else if (self.entries.includes(entry)) {
+                    setTimeout(poll, RECEIPT_POLL_INTERVAL);
+                }
+            });
+        }).catch((error) => {
+            console.log('Fail to get the receipt of', entry.transactionHash, error);
+            if (self.entries.includes(entry)) setTimeout(poll, RECEIPT_POLL_INTERVAL);
+        });
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
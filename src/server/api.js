@@ -0,0 +1,378 @@
+import crypto from 'crypto'
+import express from 'express'
+import bodyParser from 'body-parser'
+import ApiError, {handle} from './errors'
+import paginate, {pageWindow} from './pagination'
+import {flightKey, registeredFlights} from './flights'
+import {notificationStream} from './notifications'
+import {parseSchedule, importSchedule, FLIGHT_CODE} from '../client/schedule'
+import {buildLedger, ledgerToCsv, reconcile} from '../client/ledger'
+
+// Largest schedule accepted by the import, about a thousand rows
+const SCHEDULE_SIZE_LIMIT = '200kb'
+
+// API over airlines, flights, policies and oracle requests, the schedule import is the only write and needs a token
+export default function createApi({
+  web3, client, flightSuretyApp, flightSuretyData, indexer, notifications, scheduleImport = {token: '', airlines: []},
+}) {
+  const router = express.Router()
+  // data contract only answers authorized callers, so calls are made on behalf of the app contract
+  const dataCall = method => method.call({from: flightSuretyApp.options.address})
+
+  // same key as the oracleResponses of FlightSuretyApp
+  const oracleRequestKey = ({index, airline, flight, timestamp}, blockNumber) => web3.utils.soliditySha3(
+    {t: 'uint8', v: index},
+    {t: 'address', v: airline},
+    {t: 'string', v: flight},
+    {t: 'uint256', v: timestamp},
+    {t: 'uint256', v: blockNumber},
+  )
+
+  const requireAddress = (address, name) => {
+    if (!web3.utils.isAddress(address)) {
+      throw ApiError.badRequest(`${name} is not a valid address: ${address}`)
+    }
+    return web3.utils.toChecksumAddress(address)
+  }
+
+  const requireTimestamp = (timestamp) => {
+    if (!/^\d+$/.test(timestamp)) {
+      throw ApiError.badRequest(`timestamp is not a valid unix timestamp: ${timestamp}`)
+    }
+    return timestamp
+  }
+
+  const requireFlightCode = (flight) => {
+    if (!FLIGHT_CODE.test(flight || '')) {
+      throw ApiError.badRequest(`flight is not a valid flight code: ${flight}`)
+    }
+    return flight
+  }
+
+  const requireAirline = async (address) => {
+    const airline = requireAddress(address, 'airline')
+    const isRegistered = await dataCall(flightSuretyData.methods.checkAirlineIsRegisterd(airline))
+    if (!isRegistered) {
+      throw ApiError.notFound('AIRLINE_NOT_FOUND', `Airline ${airline} is not registered`)
+    }
+    return airline
+  }
+
+  const withStatus = async flight => ({
+    ...flight,
+    statusCode: Number(await dataCall(flightSuretyData.methods.getFlightStatus(flight.airline, flight.flight, flight.timestamp))),
+  })
+
+  const airlineInfo = async (airline) => {
+    const [isRegistered, hasPaidFund, isRegistering] = await Promise.all([
+      dataCall(flightSuretyData.methods.checkAirlineIsRegisterd(airline)),
+      dataCall(flightSuretyData.methods.checkAirlineIsPaidFund(airline)),
+      dataCall(flightSuretyData.methods.checkAirlineIsRegistering(airline)),
+    ])
+    return {
+      address: airline,
+      isRegistered,
+      hasPaidFund,
+      isRegistering,
+    }
+  }
+
+  router.get('/', (req, res) => {
+    res.send({
+      endpoints: [
+        'GET /api/airlines',
+        'GET /api/airlines/:address',
+        'GET /api/flights?airline=',
+        'GET /api/flights/:airline/:code/:timestamp/status',
+        'POST /api/flights/import?dryRun=',
+        'GET /api/passengers/:address/policies',
+        'GET /api/quote?airline=&flight=&timestamp=&amount=',
+        'GET /api/ledger?format=json|csv',
+        'GET /api/ledger/reconciliation',
+        'GET /api/oracles/leaderboard',
+        'GET /api/oracle-requests?airline=&flight=',
+        'GET /api/oracle-requests/:key',
+        'GET /api/notifications?flight=&airline=&passenger=',
+      ],
+    })
+  })
+
+  // -- Airline
+
+  router.get('/airlines', handle(async (req) => {
+    const addresses = indexer
+      .query({contract: 'data', event: 'AirlineRegistered'})
+      .map(({returnValues}) => web3.utils.toChecksumAddress(returnValues.newAirline))
+      .filter((address, index, all) => all.indexOf(address) === index)
+    const page = paginate(addresses, req.query)
+    const registeredCount = await flightSuretyData.methods.getRegisteredAirlineCount().call()
+    return {
+      ...page,
+      data: await Promise.all(page.data.map(airlineInfo)),
+      registeredCount: Number(registeredCount),
+    }
+  }))
+
+  router.get('/airlines/:address', handle(async (req) => {
+    const airline = await requireAirline(req.params.address)
+    return airlineInfo(airline)
+  }))
+
+  // -- Flight
+
+  router.get('/flights', handle(async (req) => {
+    let flights = registeredFlights(web3, indexer)
+    if (req.query.airline) {
+      const airline = await requireAirline(req.query.airline)
+      flights = flights.filter(flight => flight.airline === airline)
+    }
+    const page = paginate(flights, req.query)
+    return {
+      ...page,
+      data: await Promise.all(page.data.map(withStatus)),
+    }
+  }))
+
+  router.get('/flights/:airline/:code/:timestamp/status', handle(async (req) => {
+    const airline = await requireAirline(req.params.airline)
+    const timestamp = requireTimestamp(req.params.timestamp)
+    const code = requireFlightCode(req.params.code)
+    const key = flightKey(web3, airline, code, timestamp)
+    const isFlight = await dataCall(flightSuretyData.methods.checkIsFlight(key))
+    if (!isFlight) {
+      throw ApiError.notFound('FLIGHT_NOT_FOUND', `Flight ${code} of airline ${airline} at ${timestamp} is not registered`)
+    }
+    return withStatus({
+      airline,
+      flight: code,
+      timestamp: Number(timestamp),
+      flightKey: key,
+    })
+  }))
+
+  // hashed so the comparison takes the same time whatever the length of the token
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  const importAirlines = scheduleImport.airlines.map(airline => airline.toLowerCase())
+
+  const requireImportToken = (req, res, next) => {
+    if (!scheduleImport.token) {
+      next(ApiError.forbidden('IMPORT_DISABLED', 'Schedule import is disabled, set IMPORT_TOKEN on the server'))
+      return
+    }
+    const [, token = ''] = (req.get('Authorization') || '').match(/^Bearer (.+)$/) || []
+    if (!crypto.timingSafeEqual(digest(token), digest(scheduleImport.token))) {
+      next(ApiError.unauthorized('Authorization header must be Bearer <import token>'))
+      return
+    }
+    next()
+  }
+
+  // CSV (text/csv) or JSON schedule of the airlines in IMPORT_AIRLINES, sent from their accounts on the node
+  router.post(
+    '/flights/import',
+    requireImportToken,
+    bodyParser.text({type: ['text/csv', 'text/plain'], limit: SCHEDULE_SIZE_LIMIT}),
+    bodyParser.json({limit: SCHEDULE_SIZE_LIMIT}),
+    handle(async (req) => {
+      const format = req.is('application/json') ? 'json' : 'csv'
+      if (!req.is(['application/json', 'text/csv', 'text/plain'])) {
+        throw ApiError.badRequest('Schedule must be sent as text/csv or application/json')
+      }
+      let entries
+      try {
+        entries = parseSchedule(req.body, format)
+      } catch (error) {
+        throw ApiError.badRequest(error.message)
+      }
+      const others = entries
+        .map(entry => (entry || {}).airline)
+        .filter(airline => web3.utils.isAddress(airline) && !importAirlines.includes(airline.toLowerCase()))
+        .filter((airline, index, all) => all.indexOf(airline) === index)
+      if (others.length > 0) {
+        throw ApiError.forbidden('AIRLINE_NOT_ALLOWED', `Server does not register flights for ${others.join(', ')}`)
+      }
+      return importSchedule(client, entries, {dryRun: req.query.dryRun === 'true'})
+    }),
+  )
+
+  // -- Passenger
+
+  router.get('/passengers/:address/policies', handle(async (req) => {
+    const passenger = requireAddress(req.params.address, 'passenger')
+    // getPassengerBalance reverts for an address which never bought insurance
+    const hasPolicies = await dataCall(flightSuretyData.methods.hasPolicies(passenger))
+    const balance = hasPolicies ? await dataCall(flightSuretyData.methods.getPassengerBalance(passenger)) : '0'
+    // only the policies of the page are read, each one costs a call for the policy and one for its flight
+    const {start, end, pagination} = pageWindow(await client.getPassengerPolicyCount(passenger), req.query)
+    const policies = (await client.getPassengerPolicies(passenger, {start, end})).map(policy => ({
+      airline: policy.airline,
+      flight: policy.flight,
+      timestamp: policy.timestamp,
+      flightKey: policy.flightKey,
+      statusCode: policy.statusCode,
+      amount: policy.premium.wei,
+      isPayout: policy.isPayout,
+      credited: policy.credited.wei,
+    }))
+    return {
+      data: policies,
+      pagination,
+      passenger,
+      balance,
+    }
+  }))
+
+  // premium cap and payouts of insuring a registered flight, the amount is in ether
+  router.get('/quote', handle(async (req) => {
+    const flight = requireFlightCode(req.query.flight)
+    const airline = await requireAirline(req.query.airline)
+    const timestamp = requireTimestamp(req.query.timestamp)
+    if (!/^\d+(\.\d{1,18})?$/.test(req.query.amount) || Number(req.query.amount) === 0) {
+      throw ApiError.badRequest(`amount is not a valid ether amount: ${req.query.amount}`)
+    }
+    const isFlight = await dataCall(flightSuretyData.methods.checkIsFlight(flightKey(web3, airline, flight, timestamp)))
+    if (!isFlight) {
+      throw ApiError.notFound('FLIGHT_NOT_FOUND', `Flight ${flight} of airline ${airline} at ${timestamp} is not registered`)
+    }
+    const quote = await client.quote({airline, flight, timestamp}, req.query.amount)
+    if (!quote.isInsurable) {
+      throw ApiError.conflict('FLIGHT_STATUS_KNOWN', `Flight ${flight} already has the status ${quote.statusCode}, it cannot be insured`)
+    }
+    if (web3.utils.toBN(quote.premium.wei).gt(web3.utils.toBN(quote.premiumCap.wei))) {
+      throw ApiError.badRequest(`amount is over the premium cap of ${quote.premiumCap.ether} ether`)
+    }
+    return {airline, flight, timestamp: Number(timestamp), ...quote}
+  }))
+
+  // -- Ledger
+
+  // money movements of FlightSuretyData up to the last indexed block
+  const ledger = () => buildLedger(web3, indexer.query({contract: 'data'}), indexer.store.lastBlock)
+
+  router.get('/ledger', handle(async (req, res) => {
+    const {format = 'json'} = req.query
+    if (!['json', 'csv'].includes(format)) {
+      throw ApiError.badRequest(`format must be json or csv: ${format}`)
+    }
+    const current = ledger()
+    if (format === 'csv') {
+      res.type('text/csv').attachment(`ledger-${current.blockNumber}.csv`)
+      return ledgerToCsv(current)
+    }
+    return {...current, reconciliation: await reconcile(client, current)}
+  }))
+
+  router.get('/ledger/reconciliation', handle(() => reconcile(client, ledger())))
+
+  // -- Oracle
+
+  const oracleRequests = () => indexer
+    .query({contract: 'app', event: 'OracleRequest'})
+    .map(event => ({
+      key: oracleRequestKey(event.returnValues, event.blockNumber),
+      index: Number(event.returnValues.index),
+      airline: web3.utils.toChecksumAddress(event.returnValues.airline),
+      flight: event.returnValues.flight,
+      timestamp: Number(event.returnValues.timestamp),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }))
+
+  // oracles ranked by accuracy against the consensus, then by the responses they got right
+  router.get('/oracles/leaderboard', handle(async (req) => {
+    const addresses = [...new Set(indexer
+      .query({contract: 'app', event: 'OracleRegistered'})
+      .map(event => web3.utils.toChecksumAddress(event.returnValues.oracle)))]
+    const oracles = await Promise.all(addresses.map(async (address) => {
+      const oracle = await client.getOracle(address)
+      const scored = oracle.agreements + oracle.disagreements
+      return {
+        address,
+        ...oracle,
+        stake: oracle.stake.wei,
+        slashed: oracle.slashed.wei,
+        accuracy: scored > 0 ? oracle.agreements / scored : null,
+      }
+    }))
+    const ranked = oracles
+      .sort((a, b) => (b.accuracy === null ? -1 : b.accuracy) - (a.accuracy === null ? -1 : a.accuracy)
+        || b.agreements - a.agreements)
+      .map((oracle, i) => ({rank: i + 1, ...oracle}))
+    return paginate(ranked, req.query)
+  }))
+
+  router.get('/oracle-requests', handle((req) => {
+    let requests = oracleRequests()
+    if (req.query.airline) {
+      const airline = requireAddress(req.query.airline, 'airline')
+      requests = requests.filter(request => request.airline === airline)
+    }
+    if (req.query.flight) {
+      requests = requests.filter(request => request.flight === req.query.flight)
+    }
+    return paginate(requests.reverse(), req.query)
+  }))
+
+  router.get('/oracle-requests/:key', handle((req) => {
+    const request = oracleRequests().find(item => item.key === req.params.key.toLowerCase())
+    if (!request) {
+      throw ApiError.notFound('ORACLE_REQUEST_NOT_FOUND', `Oracle request ${req.params.key} not found`)
+    }
+    // reports do not carry the request index, so match them by flight until the next request of the flight
+    const sameFlight = item => item.airline === request.airline && item.flight === request.flight && item.timestamp === request.timestamp
+    const nextRequest = oracleRequests().find(item => sameFlight(item) && item.blockNumber > request.blockNumber)
+    const filter = {
+      contract: 'app',
+      fromBlock: request.blockNumber,
+      toBlock: nextRequest ? nextRequest.blockNumber - 1 : Infinity,
+      where: {airline: request.airline, flight: request.flight, timestamp: request.timestamp},
+    }
+    const reports = indexer.query({...filter, event: 'OracleReport'}).map(event => ({
+      status: Number(event.returnValues.status),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }))
+    const [verified] = indexer.query({...filter, event: 'FlightStatusInfo'})
+    // the next request closes an expired one in the same transaction
+    const [expired] = indexer.query({
+      ...filter,
+      event: 'OracleRequestExpired',
+      toBlock: nextRequest ? nextRequest.blockNumber : Infinity,
+      where: {...filter.where, index: request.index},
+    })
+    return {
+      ...request,
+      reports,
+      responsesByStatus: reports.reduce((groups, report) => ({
+        ...groups,
+        [report.status]: (groups[report.status] || 0) + 1,
+      }), {}),
+      verifiedStatus: verified ? Number(verified.returnValues.status) : null,
+      expired: Boolean(expired),
+    }
+  }))
+
+  // -- Notification
+
+  router.get('/notifications', notificationStream(notifications))
+
+  router.use((req, res, next) => {
+    next(ApiError.notFound('NOT_FOUND', `${req.method} ${req.originalUrl} not found`))
+  })
+
+  // most views of the data contract revert while it is paused, tell the caller instead of a 500
+  // eslint-disable-next-line no-unused-vars
+  router.use((error, req, res, next) => {
+    if (error instanceof ApiError || error.status) {
+      next(error)
+      return
+    }
+    client.isDataOperational().then((isOperational) => {
+      next(isOperational
+        ? error
+        : ApiError.unavailable('CONTRACTS_PAUSED', 'Contracts are paused, reads through them resume once the airlines vote to resume'))
+    }, () => next(error))
+  })
+
+  return router
+}
@@ -0,0 +1,56 @@
+// Error with the http status and a code for the JSON error body
+export default class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+
+  static badRequest(message) {
+    return new ApiError(400, 'BAD_REQUEST', message)
+  }
+
+  static unauthorized(message) {
+    return new ApiError(401, 'UNAUTHORIZED', message)
+  }
+
+  static forbidden(code, message) {
+    return new ApiError(403, code, message)
+  }
+
+  static notFound(code, message) {
+    return new ApiError(404, code, message)
+  }
+
+  static conflict(code, message) {
+    return new ApiError(409, code, message)
+  }
+
+  static unavailable(code, message) {
+    return new ApiError(503, code, message)
+  }
+}
+
+// express handler for async route handlers, the resolved value is sent as JSON
+export const handle = handler => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res))
+    .then((body) => {
+      if (body !== undefined) res.send(body)
+    })
+    .catch(next)
+}
+
+// eslint-disable-next-line no-unused-vars
+export const errorHandler = (error, req, res, _next) => {
+  const status = error.status || 500
+  // ApiErrors describe themselves, e.g. 503 while the contracts are paused
+  const isExposed = status < 500 || error instanceof ApiError
+  if (!isExposed) console.log(error)
+  res.status(status).send({
+    error: {
+      code: error.code || 'INTERNAL_ERROR',
+      message: isExposed ? error.message : 'Internal server error',
+    },
+  })
+}
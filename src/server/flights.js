@@ -0,0 +1,16 @@
+// Same key as getFlightKey of the contracts
+export const flightKey = (web3, airline, flight, timestamp) => web3.utils.soliditySha3(
+  {t: 'address', v: airline},
+  {t: 'string', v: flight},
+  {t: 'uint256', v: timestamp},
+)
+
+// flights known from the FlightRegistered events of the indexer
+export const registeredFlights = (web3, indexer) => indexer
+  .query({contract: 'data', event: 'FlightRegistered'})
+  .map(({returnValues}) => ({
+    airline: web3.utils.toChecksumAddress(returnValues.airline),
+    flight: returnValues.flightCode,
+    timestamp: Number(returnValues.timestamp),
+    flightKey: flightKey(web3, returnValues.airline, returnValues.flightCode, returnValues.timestamp),
+  }))
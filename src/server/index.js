@@ -1,10 +1,11 @@
 
 import http from 'http'
 import app from './server'
+import settings from './settings'
 
 const server = http.createServer(app)
 let currentApp = app
-server.listen(3000)
+server.listen(settings.port)
 
 if (module.hot) {
  module.hot.accept('./server', () => {
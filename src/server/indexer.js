@@ -0,0 +1,149 @@
+import EventEmitter from 'events'
+
+// Index FlightSuretyApp & FlightSuretyData events into the event store,
+// resume from the last processed block and roll back blocks replaced by reorgs
+export default class EventIndexer extends EventEmitter {
+  constructor(web3, contracts, store, {pollInterval, batchSize, reorgDepth, startBlock = 0}) {
+    super()
+    this.web3 = web3
+    this.contracts = contracts
+    this.store = store
+    this.pollInterval = pollInterval
+    this.batchSize = batchSize
+    this.reorgDepth = reorgDepth
+    // nothing to index before the contracts were deployed
+    this.startBlock = startBlock
+    this.timer = null
+    this.running = false
+  }
+
+  async start() {
+    this.running = true
+    await this.checkChain()
+    await this.poll()
+  }
+
+  stop() {
+    this.running = false
+    clearTimeout(this.timer)
+  }
+
+  query(filter) {
+    return this.store.find(filter)
+  }
+
+  contractAddresses() {
+    return Object.keys(this.contracts).reduce((addresses, name) => ({
+      ...addresses,
+      [name]: this.contracts[name].options.address.toLowerCase(),
+    }), {})
+  }
+
+  // the configured contracts, and the apps replaced by upgrades which keep being indexed as `app`
+  indexedContracts() {
+    const {previousContracts} = this.store.meta
+    return Object.keys(this.contracts).reduce((indexed, name) => indexed.concat(
+      {name, contract: this.contracts[name]},
+      (previousContracts[name] || []).map(address => ({
+        name,
+        contract: new this.web3.eth.Contract(this.contracts[name].options.jsonInterface, address),
+      })),
+    ), [])
+  }
+
+  // a new genesis block (ganache restart) or a redeployed data contract invalidate the whole index,
+  // an upgraded app keeps the history of the apps it replaced
+  async checkChain() {
+    const genesis = await this.web3.eth.getBlock(0)
+    const contracts = this.contractAddresses()
+    const {meta} = this.store
+    const sameContracts = Object.keys(contracts).every(name => meta.contracts[name] === contracts[name])
+    if (meta.genesisHash === genesis.hash && sameContracts) return
+    if (meta.genesisHash === genesis.hash && meta.contracts.data === contracts.data && meta.contracts.app) {
+      console.log(`FlightSuretyApp upgraded from ${meta.contracts.app} to ${contracts.app}, keep indexing both`)
+      this.store.replaceContract('app', contracts.app)
+      this.store.save()
+      return
+    }
+    if (meta.genesisHash) console.log('Chain or contracts changed, rebuild event index')
+    this.store.reset({genesisHash: genesis.hash, contracts, lastBlock: this.startBlock - 1})
+    this.emit('reset')
+  }
+
+  async poll() {
+    try {
+      await this.sync()
+    } catch (error) {
+      console.log('Fail to index events', error.message)
+    }
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval)
+    }
+  }
+
+  async sync() {
+    const head = await this.web3.eth.getBlockNumber()
+    if (head < this.store.lastBlock) {
+      // chain is shorter than what we indexed, ganache may have been reset
+      await this.checkChain()
+    }
+    await this.handleReorg()
+
+    while (this.running && this.store.lastBlock < head) {
+      const fromBlock = this.store.lastBlock + 1
+      const toBlock = Math.min(head, fromBlock + this.batchSize - 1)
+      // eslint-disable-next-line no-await-in-loop
+      await this.indexRange(fromBlock, toBlock)
+    }
+  }
+
+  async handleReorg() {
+    const {blockHashes} = this.store.meta
+    const knownBlocks = Object.keys(blockHashes).map(Number).sort((a, b) => b - a)
+    if (knownBlocks.length === 0) return
+
+    for (let i = 0; i < knownBlocks.length; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const block = await this.web3.eth.getBlock(knownBlocks[i])
+      if (block && block.hash === blockHashes[knownBlocks[i]]) {
+        if (i > 0) this.rollback(knownBlocks[i])
+        return
+      }
+    }
+    // deeper than the blocks we remember, start over
+    this.rollback(this.startBlock - 1)
+  }
+
+  rollback(blockNumber) {
+    const removed = this.store.rollback(blockNumber)
+    console.log(`Reorg detected, roll back to block ${blockNumber} and drop ${removed.length} events`)
+    this.store.save()
+    this.emit('rollback', blockNumber, removed)
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const results = await Promise.all(this.indexedContracts().map(async ({name, contract}) => {
+      const events = await contract.getPastEvents('allEvents', {fromBlock, toBlock})
+      return events
+        .filter(event => event.event)
+        .map(event => ({
+          contract: name,
+          event: event.event,
+          address: event.address,
+          blockNumber: event.blockNumber,
+          blockHash: event.blockHash,
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex,
+          // drop the positional duplicates web3 adds to returnValues
+          returnValues: Object.keys(event.returnValues)
+            .filter(key => Number.isNaN(Number(key)))
+            .reduce((values, key) => ({...values, [key]: event.returnValues[key]}), {}),
+        }))
+    }))
+    const block = await this.web3.eth.getBlock(toBlock)
+    const added = this.store.addEvents([].concat(...results))
+    this.store.markProcessed(toBlock, block.hash, this.reorgDepth)
+    this.store.save()
+    added.forEach(event => this.emit('event', event))
+  }
+}
@@ -0,0 +1,18 @@
+import express from 'express'
+import {STATUS_CODES} from './statusCodes'
+
+// Local stand-in for a flight data API, the status is derived from the flight
+// so every oracle asking the mock gets the same answer
+const router = express.Router()
+
+router.get('/flights/:flight/:timestamp/status', (req, res) => {
+  const {flight, timestamp} = req.params
+  const seed = `${flight}${timestamp}`.split('').reduce((sum, char) => sum + char.charCodeAt(0), 0)
+  res.send({
+    flight,
+    timestamp: Number(timestamp),
+    statusCode: STATUS_CODES[seed % STATUS_CODES.length],
+  })
+})
+
+export default router
@@ -0,0 +1,143 @@
+import {registeredFlights} from './flights'
+
+const HEARTBEAT_INTERVAL = 15000
+// reconnect delay suggested to EventSource clients
+const RETRY_DELAY = 3000
+
+const eventId = event => `${event.blockNumber}:${event.logIndex}`
+
+const isAfter = (event, lastEventId) => {
+  const [blockNumber, logIndex] = lastEventId.split(':').map(Number)
+  return event.blockNumber > blockNumber || (event.blockNumber === blockNumber && event.logIndex > logIndex)
+}
+
+// comma separated addresses / flight codes of the query, lower cased
+const parseList = value => [].concat(value || [])
+  .join(',')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean)
+
+export const parseFilter = query => ({
+  flights: parseList(query.flight),
+  airlines: parseList(query.airline),
+  passengers: parseList(query.passenger),
+})
+
+// a notification matches when it involves any of the filtered flights, airlines or passengers
+export const matchesFilter = ({flights, airlines, passengers}, notification) => {
+  if (flights.length + airlines.length + passengers.length === 0) return true
+  const lower = value => String(value || '').toLowerCase()
+  return flights.includes(lower(notification.flight))
+    || airlines.includes(lower(notification.airline))
+    || passengers.includes(lower(notification.passenger))
+}
+
+// Turn indexed events into notifications and stream them to subscribers
+export default class NotificationHub {
+  constructor(web3, indexer) {
+    this.web3 = web3
+    this.indexer = indexer
+    this.subscribers = new Set()
+    this.flights = new Map()
+    indexer.on('event', (event) => {
+      const notification = this.toNotification(event)
+      if (notification) this.publish(notification)
+    })
+  }
+
+  flightOf(flightKey) {
+    if (!this.flights.has(flightKey)) {
+      registeredFlights(this.web3, this.indexer).forEach(flight => this.flights.set(flight.flightKey, flight))
+    }
+    return this.flights.get(flightKey) || {}
+  }
+
+  /** @return {Object|null} null for events nobody is notified about */
+  toNotification(event) {
+    const values = event.returnValues
+    const base = {id: eventId(event), blockNumber: event.blockNumber, transactionHash: event.transactionHash}
+    const address = value => this.web3.utils.toChecksumAddress(value)
+    switch (`${event.contract}.${event.event}`) {
+      case 'data.FlightStatusUpdated':
+        return {
+          ...base,
+          type: 'flightStatus',
+          airline: address(values.airline),
+          flight: values.flightCode,
+          timestamp: Number(values.timestamp),
+          statusCode: Number(values.statusCode),
+        }
+      case 'data.InsureeCredited': {
+        const {airline, flight, timestamp} = this.flightOf(values.flightKey)
+        return {
+          ...base,
+          type: 'policyCredited',
+          passenger: address(values.passenger),
+          airline,
+          flight,
+          timestamp,
+          flightKey: values.flightKey,
+          payout: {wei: values.payout, ether: this.web3.utils.fromWei(values.payout, 'ether')},
+        }
+      }
+      case 'data.AirlineRegistered':
+        return {...base, type: 'airlineRegistered', airline: address(values.newAirline)}
+      default:
+        return null
+    }
+  }
+
+  // notifications of the indexed events after lastEventId, for reconnecting clients
+  since(lastEventId) {
+    return this.indexer.query()
+      .filter(event => isAfter(event, lastEventId))
+      .map(event => this.toNotification(event))
+      .filter(Boolean)
+  }
+
+  publish(notification) {
+    this.subscribers.forEach(subscriber => subscriber(notification))
+  }
+
+  /** @return {Function} unsubscribe */
+  subscribe(filter, listener) {
+    const subscriber = (notification) => {
+      if (matchesFilter(filter, notification)) listener(notification)
+    }
+    this.subscribers.add(subscriber)
+    return () => this.subscribers.delete(subscriber)
+  }
+}
+
+const writeNotification = (res, notification) => {
+  res.write(`id: ${notification.id}\nevent: ${notification.type}\ndata: ${JSON.stringify(notification)}\n\n`)
+}
+
+// express handler streaming the notifications as server-sent events
+export const notificationStream = hub => (req, res) => {
+  const filter = parseFilter(req.query)
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // the dapp is served from another port
+    'Access-Control-Allow-Origin': '*',
+  })
+  res.write(`retry: ${RETRY_DELAY}\n\n`)
+
+  const lastEventId = req.get('Last-Event-ID')
+  if (lastEventId && /^\d+:\d+$/.test(lastEventId)) {
+    hub.since(lastEventId)
+      .filter(notification => matchesFilter(filter, notification))
+      .forEach(notification => writeNotification(res, notification))
+  }
+
+  const unsubscribe = hub.subscribe(filter, notification => writeNotification(res, notification))
+  // comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+}
@@ -0,0 +1,66 @@
+const REGISTER_GAS = 3000000
+// the response reaching consensus also credits a batch of insurees
+const RESPONSE_GAS = 1500000
+
+export default class OracleFleet {
+  constructor(client, {count, accountOffset}, providers) {
+    this.client = client
+    this.count = count
+    this.accountOffset = accountOffset
+    this.providers = providers
+    this.oracles = []
+  }
+
+  async register() {
+    const accounts = await this.client.web3.eth.getAccounts()
+    const oracleAccounts = accounts.slice(this.accountOffset, this.accountOffset + this.count)
+    if (oracleAccounts.length < this.count) {
+      console.warn(`Only ${oracleAccounts.length} accounts available for ${this.count} oracles`)
+    }
+    this.oracles = await Promise.all(oracleAccounts.map((address, position) => (
+      this.registerOracle(address, this.providers[position % this.providers.length])
+    )))
+    return this.oracles
+  }
+
+  // reuse the indexes of an account which is already registered, e.g. after server restart
+  async registerOracle(address, provider) {
+    let indexes
+    try {
+      indexes = await this.client.getMyIndexes(address)
+    } catch (e) {
+      await this.client.registerOracle(address, {gas: REGISTER_GAS})
+      indexes = await this.client.getMyIndexes(address)
+    }
+    return {
+      address,
+      indexes,
+      provider,
+    }
+  }
+
+  matchingOracles(index) {
+    return this.oracles.filter(oracle => oracle.indexes.includes(Number(index)))
+  }
+
+  respond(event) {
+    const {index, airline, flight, timestamp} = event.returnValues
+    const submitTasks = this.matchingOracles(index).map(async (oracle) => {
+      let statusCode
+      try {
+        // responses of a suspended oracle revert, it stays registered until its stake is withdrawn
+        if ((await this.client.getOracle(oracle.address)).isSuspended) {
+          return {oracle: oracle.address, provider: oracle.provider.name, skipped: 'Oracle is suspended'}
+        }
+        statusCode = await oracle.provider.getStatus({airline, flight, timestamp})
+        await this.client.submitOracleResponse(oracle.address, index, {airline, flight, timestamp}, statusCode, {gas: RESPONSE_GAS})
+        return {oracle: oracle.address, provider: oracle.provider.name, statusCode}
+      } catch (error) {
+        // provider may fail or request may already be closed by other oracles
+        console.log(`Oracle ${oracle.address} (${oracle.provider.name}) fail to respond ${flight}: ${error.message}`)
+        return {oracle: oracle.address, provider: oracle.provider.name, statusCode, error}
+      }
+    })
+    return Promise.all(submitTasks)
+  }
+}
@@ -0,0 +1,33 @@
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed
+}
+
+// indexes `start` to `end` (excluded) of the requested page out of `total` items, to read only the page from the contracts
+export function pageWindow(total, query = {}) {
+  const page = toPositiveInt(query.page, 1)
+  const pageSize = Math.min(toPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  const start = Math.min((page - 1) * pageSize, total)
+  return {
+    start,
+    end: Math.min(start + pageSize, total),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  }
+}
+
+// ?page=1&pageSize=20
+export default function paginate(items, query = {}) {
+  const {start, end, pagination} = pageWindow(items.length, query)
+  return {
+    data: items.slice(start, end),
+    pagination,
+  }
+}
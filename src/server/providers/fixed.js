@@ -0,0 +1,15 @@
+import {isStatusCode} from '../statusCodes'
+
+export default class FixedProvider {
+  constructor(statusCode) {
+    if (!isStatusCode(statusCode)) {
+      throw new Error(`Invalid status code for fixed provider: ${statusCode}`)
+    }
+    this.name = `fixed:${statusCode}`
+    this.statusCode = Number(statusCode)
+  }
+
+  getStatus() {
+    return Promise.resolve(this.statusCode)
+  }
+}
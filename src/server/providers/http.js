@@ -0,0 +1,54 @@
+import http from 'http'
+import https from 'https'
+import {isStatusCode} from '../statusCodes'
+
+const REQUEST_TIMEOUT = 5000
+
+const getJson = url => new Promise((resolve, reject) => {
+  const client = url.startsWith('https') ? https : http
+  const request = client.get(url, (response) => {
+    let body = ''
+    response.setEncoding('utf-8')
+    response.on('data', (chunk) => { body += chunk })
+    response.on('end', () => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Flight API responded ${response.statusCode}`))
+        return
+      }
+      try {
+        resolve(JSON.parse(body))
+      } catch (e) {
+        reject(new Error(`Flight API responded invalid JSON: ${e.message}`))
+      }
+    })
+  })
+  request.setTimeout(REQUEST_TIMEOUT, () => request.abort())
+  request.on('error', reject)
+})
+
+// Query a flight data API, the url can contain {airline}, {flight} and {timestamp} placeholders
+// and the API should respond with { "statusCode": 20 }
+export default class HttpProvider {
+  constructor(urlTemplate) {
+    if (!urlTemplate) {
+      throw new Error('HTTP provider requires an API url')
+    }
+    this.name = `http:${urlTemplate}`
+    this.urlTemplate = urlTemplate
+  }
+
+  buildUrl(request) {
+    return ['airline', 'flight', 'timestamp'].reduce(
+      (url, field) => url.replace(`{${field}}`, encodeURIComponent(request[field])),
+      this.urlTemplate,
+    )
+  }
+
+  async getStatus(request) {
+    const {statusCode} = await getJson(this.buildUrl(request))
+    if (!isStatusCode(statusCode)) {
+      throw new Error(`Flight API responded invalid status code: ${statusCode}`)
+    }
+    return Number(statusCode)
+  }
+}
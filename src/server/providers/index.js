@@ -0,0 +1,31 @@
+import RandomProvider from './random'
+import FixedProvider from './fixed'
+import ScenarioProvider from './scenario'
+import HttpProvider from './http'
+
+const providerTypes = {
+  random: () => new RandomProvider(),
+  fixed: statusCode => new FixedProvider(statusCode),
+  scenario: file => new ScenarioProvider(file),
+  http: url => new HttpProvider(url),
+}
+
+// spec: `random`, `fixed:20`, `scenario:./scenario.json` or `http://host/status/{flight}`
+export const createProvider = (spec) => {
+  const separator = spec.indexOf(':')
+  const type = separator < 0 ? spec : spec.slice(0, separator)
+  const option = separator < 0 ? undefined : spec.slice(separator + 1)
+
+  if (type === 'http' || type === 'https') return providerTypes.http(spec)
+  if (!providerTypes[type]) {
+    throw new Error(`Unknown flight status provider: ${type}`)
+  }
+  return providerTypes[type](option)
+}
+
+// comma separated specs, oracles take the providers in turn
+export const createProviders = specs => specs
+  .split(',')
+  .map(spec => spec.trim())
+  .filter(spec => spec.length > 0)
+  .map(createProvider)
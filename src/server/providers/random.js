@@ -0,0 +1,11 @@
+import {STATUS_CODES} from '../statusCodes'
+
+export default class RandomProvider {
+  constructor() {
+    this.name = 'random'
+  }
+
+  getStatus() {
+    return Promise.resolve(STATUS_CODES[Math.floor(Math.random() * STATUS_CODES.length)])
+  }
+}
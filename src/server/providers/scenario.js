@@ -0,0 +1,36 @@
+import fs from 'fs'
+import path from 'path'
+import {isStatusCode, STATUS_CODE_UNKNOWN} from '../statusCodes'
+
+// Scenario file format:
+// {
+//   "default": 10,
+//   "flights": {
+//     "ND1309": 20,               // any timestamp of ND1309
+//     "ND1310@1550000000": 30     // exact flight code & timestamp
+//   }
+// }
+export default class ScenarioProvider {
+  constructor(file) {
+    if (!file) {
+      throw new Error('Scenario provider requires a scenario file')
+    }
+    this.name = `scenario:${file}`
+    this.file = path.resolve(process.cwd(), file)
+    const scenario = JSON.parse(fs.readFileSync(this.file, 'utf-8'))
+    this.defaultStatus = scenario.default === undefined ? STATUS_CODE_UNKNOWN : scenario.default
+    this.flights = scenario.flights || {}
+
+    const invalid = Object.keys(this.flights).filter(key => !isStatusCode(this.flights[key]))
+    if (invalid.length > 0 || !isStatusCode(this.defaultStatus)) {
+      throw new Error(`Invalid status code in scenario ${this.file}: ${invalid.join(', ') || 'default'}`)
+    }
+  }
+
+  getStatus({flight, timestamp}) {
+    const exactKey = `${flight}@${timestamp}`
+    if (exactKey in this.flights) return Promise.resolve(Number(this.flights[exactKey]))
+    if (flight in this.flights) return Promise.resolve(Number(this.flights[flight]))
+    return Promise.resolve(Number(this.defaultStatus))
+  }
+}
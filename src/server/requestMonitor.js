@@ -0,0 +1,85 @@
+const flightId = ({airline, flight, timestamp}) => `${airline.toLowerCase()}:${flight}:${timestamp}`
+
+// Follow the oracle requests of flights and reissue the ones which expire without consensus
+export default class OracleRequestMonitor {
+  constructor(client, {maxRetries, retryInterval}) {
+    this.client = client
+    this.maxRetries = maxRetries
+    this.retryInterval = retryInterval
+    this.from = null
+    this.timer = null
+    // flight id => {flight, retries}
+    this.requests = new Map()
+  }
+
+  // retries are sent from `from`, e.g. an oracle account
+  start(from) {
+    this.from = from
+    this.schedule()
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  schedule() {
+    this.timer = setTimeout(async () => {
+      await this.check()
+      if (this.timer) this.schedule()
+    }, this.retryInterval)
+  }
+
+  // OracleRequest event, a reissued request keeps its retry count
+  track(event) {
+    const {airline, flight, timestamp} = event.returnValues
+    const id = flightId({airline, flight, timestamp})
+    if (!this.requests.has(id)) {
+      this.requests.set(id, {flight: {airline, flight, timestamp}, retries: 0})
+    }
+  }
+
+  // FlightStatusInfo event
+  settle(event) {
+    this.requests.delete(flightId(event.returnValues))
+  }
+
+  async check() {
+    let blockNumber
+    try {
+      blockNumber = await this.client.web3.eth.getBlockNumber()
+    } catch (error) {
+      console.log('Fail to check oracle requests', error.message)
+      return
+    }
+    const tasks = Array.from(this.requests.values()).map(async (tracked) => {
+      try {
+        const request = await this.client.getOracleRequest(tracked.flight)
+        if (!request.isOpen) {
+          // consensus reached or expired by someone else
+          this.requests.delete(flightId(tracked.flight))
+        } else if (blockNumber >= request.expiresAt) {
+          // the next block is past the last block accepting responses
+          await this.retry(tracked)
+        }
+      } catch (error) {
+        console.log(`Fail to check oracle request of ${tracked.flight.flight}: ${error.message}`)
+      }
+    })
+    await Promise.all(tasks)
+  }
+
+  async retry(tracked) {
+    const {flight} = tracked.flight
+    if (tracked.retries >= this.maxRetries) {
+      console.log(`Oracle request of ${flight} expired ${tracked.retries + 1} times, give up`)
+      this.requests.delete(flightId(tracked.flight))
+      await this.client.expireOracleRequest(tracked.flight, {from: this.from})
+      return
+    }
+    tracked.retries += 1
+    console.log(`Oracle request of ${flight} expired, retry ${tracked.retries}/${this.maxRetries}`)
+    // closes the expired request and opens a new one
+    await this.client.fetchFlightStatus(tracked.flight, {from: this.from})
+  }
+}
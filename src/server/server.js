@@ -1,29 +1,80 @@
-import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
-import Config from './config.json';
-import Web3 from 'web3';
-import express from 'express';
+import Web3 from 'web3'
+import express from 'express'
+import FlightSuretyClient, {selectNetwork} from '../client'
+import Config from './config.json'
+import settings from './settings'
+import OracleFleet from './oracles'
+import OracleRequestMonitor from './requestMonitor'
+import {createProviders} from './providers'
+import mockFlightApi from './mockFlightApi'
+import EventStore from './store'
+import EventIndexer from './indexer'
+import createApi from './api'
+import NotificationHub from './notifications'
+import {errorHandler} from './errors'
 
+const config = selectNetwork(Config, settings.network)
+const web3 = new Web3(new Web3.providers.WebsocketProvider(config.wsUrl))
+const client = new FlightSuretyClient(web3, config)
+const {flightSuretyApp, flightSuretyData} = client
+const oracleFleet = new OracleFleet(client, settings.oracles, createProviders(settings.oracles.providers))
+const requestMonitor = new OracleRequestMonitor(client, settings.oracles)
 
-let config = Config['localhost'];
-let web3 = new Web3(new Web3.providers.WebsocketProvider(config.url.replace('http', 'ws')));
-web3.eth.defaultAccount = web3.eth.accounts[0];
-let flightSuretyApp = new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
-
-
-flightSuretyApp.events.OracleRequest({
-    fromBlock: 0
-  }, function (error, event) {
-    if (error) console.log(error)
-    console.log(event)
-});
-
-const app = express();
-app.get('/api', (req, res) => {
-    res.send({
-      message: 'An API for use with your Dapp!'
+oracleFleet.register()
+  .then((oracles) => {
+    console.log(`${oracles.length} oracles registered`)
+    flightSuretyApp.events.OracleRequest({
+      fromBlock: 'latest',
+    }, (error, event) => {
+      if (error) {
+        console.log(error)
+        return
+      }
+      requestMonitor.track(event)
+      oracleFleet.respond(event)
     })
-})
+    flightSuretyApp.events.FlightStatusInfo({
+      fromBlock: 'latest',
+    }, (error, event) => {
+      if (error) {
+        console.log(error)
+        return
+      }
+      requestMonitor.settle(event)
+    })
+    if (oracles.length > 0) requestMonitor.start(oracles[0].address)
+  })
+  .catch(error => console.log('Fail to register oracles', error))
+
+export const indexer = new EventIndexer(
+  web3,
+  {app: flightSuretyApp, data: flightSuretyData},
+  new EventStore(settings.indexer.file),
+  {...settings.indexer, startBlock: config.deploymentBlock},
+)
+const notifications = new NotificationHub(web3, indexer)
+indexer.start()
+  .then(() => console.log(`Events indexed up to block ${indexer.store.lastBlock}`))
+  .catch(error => console.log('Fail to start event indexer', error))
 
-export default app;
+if (module.hot) {
+  module.hot.dispose(() => {
+    indexer.stop()
+    requestMonitor.stop()
+  })
+}
 
+const app = express()
+app.use('/mock', mockFlightApi)
+app.use('/api', createApi({
+  web3,
+  client,
+  flightSuretyApp,
+  flightSuretyData,
+  indexer,
+  notifications,
+  scheduleImport: settings.scheduleImport,
+}))
+app.use(errorHandler)
 
+export default app
@@ -0,0 +1,36 @@
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) ? fallback : parsed
+}
+
+export default {
+  // entry of config.json to run against
+  network: process.env.NETWORK || 'localhost',
+  port: toInt(process.env.PORT, 3000),
+  oracles: {
+    // number of server oracles to register on startup
+    count: toInt(process.env.ORACLE_COUNT, 20),
+    // first ganache account used as an oracle, accounts 0 - 10 are taken by owner / airlines / passengers
+    accountOffset: toInt(process.env.ORACLE_ACCOUNT_OFFSET, 20),
+    // comma separated flight status providers, oracles take them in turn
+    // e.g. `fixed:20,fixed:20,random,scenario:./src/server/scenarios/example.json`
+    providers: process.env.ORACLE_PROVIDERS || 'random',
+    // expired requests are reissued up to maxRetries times, checked every retryInterval milliseconds
+    maxRetries: toInt(process.env.ORACLE_REQUEST_RETRIES, 3),
+    retryInterval: toInt(process.env.ORACLE_REQUEST_RETRY_INTERVAL, 5000),
+  },
+  scheduleImport: {
+    // bearer token of POST /api/flights/import, the endpoint is disabled without it
+    token: process.env.IMPORT_TOKEN || '',
+    // comma separated airlines the server registers flights for, their accounts must be unlocked on the node
+    airlines: (process.env.IMPORT_AIRLINES || '').split(',').map(airline => airline.trim()).filter(Boolean),
+  },
+  indexer: {
+    file: process.env.INDEXER_FILE || './data/events.json',
+    pollInterval: toInt(process.env.INDEXER_POLL_INTERVAL, 2000),
+    // max blocks per getPastEvents request
+    batchSize: toInt(process.env.INDEXER_BATCH_SIZE, 1000),
+    // number of recent block hashes kept to detect reorgs
+    reorgDepth: toInt(process.env.INDEXER_REORG_DEPTH, 50),
+  },
+}
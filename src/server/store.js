@@ -0,0 +1,170 @@
+import fs from 'fs'
+import path from 'path'
+
+const emptyState = () => ({
+  meta: {
+    genesisHash: null,
+    contracts: {},
+    // addresses each contract had before an upgrade, by contract name
+    previousContracts: {},
+    lastBlock: -1,
+    // hashes of recently processed blocks, used to detect reorgs
+    blockHashes: {},
+  },
+  events: [],
+})
+
+const eventId = event => `${event.transactionHash}:${event.logIndex}`
+
+const byPosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+
+// write a whole file or nothing, a crash leaves the previous version in place
+const writeAtomic = (file, content) => {
+  const tempFile = `${file}.tmp`
+  fs.writeFileSync(tempFile, content, 'utf-8')
+  fs.renameSync(tempFile, file)
+}
+
+const toLines = events => events.map(event => `${JSON.stringify(event)}\n`).join('')
+
+// Embedded event store: the meta is a JSON file replaced on every save,
+// the events are appended to a JSON lines log next to it, e.g. events.json and events.jsonl
+export default class EventStore {
+  constructor(file) {
+    this.file = path.resolve(process.cwd(), file)
+    this.logFile = path.join(path.dirname(this.file), `${path.basename(this.file, path.extname(this.file))}.jsonl`)
+    this.state = emptyState()
+    this.ids = new Set()
+    // events added since the last save, appended by the next one
+    this.unsaved = []
+    // the log no longer matches the events, e.g. after a rollback, the next save rewrites it
+    this.rewrite = false
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      // a log without its meta is left over from a removed store
+      this.rewrite = true
+      return
+    }
+    try {
+      const {events, ...state} = JSON.parse(fs.readFileSync(this.file, 'utf-8'))
+      // stores written before a meta field existed get its default
+      this.state = {...emptyState(), meta: {...emptyState().meta, ...state.meta}}
+      // stores written before the log kept their events in the meta file
+      this.state.events = events ? events.sort(byPosition) : this.readLog()
+      this.rewrite = Boolean(events) || this.rewrite
+    } catch (e) {
+      console.log(`Event store ${this.file} is corrupted, start from scratch: ${e.message}`)
+      this.state = emptyState()
+      this.rewrite = true
+    }
+    // events logged after the meta of their block was saved are indexed again
+    const processed = this.state.events.filter(event => event.blockNumber <= this.state.meta.lastBlock)
+    if (processed.length < this.state.events.length) {
+      this.state.events = processed
+      this.rewrite = true
+    }
+    this.ids = new Set(this.state.events.map(eventId))
+  }
+
+  // a crash while appending leaves a partial last line, it is dropped and the log rewritten
+  readLog() {
+    if (!fs.existsSync(this.logFile)) return []
+    const lines = fs.readFileSync(this.logFile, 'utf-8').split('\n').filter(line => line)
+    return lines.reduce((events, line) => {
+      try {
+        events.push(JSON.parse(line))
+      } catch (e) {
+        this.rewrite = true
+      }
+      return events
+    }, [])
+  }
+
+  // events go first, the meta saying which blocks they cover last
+  save() {
+    fs.mkdirSync(path.dirname(this.file), {recursive: true})
+    if (this.rewrite) {
+      writeAtomic(this.logFile, toLines(this.state.events))
+      this.rewrite = false
+    } else if (this.unsaved.length > 0) {
+      fs.appendFileSync(this.logFile, toLines(this.unsaved), 'utf-8')
+    }
+    this.unsaved = []
+    writeAtomic(this.file, JSON.stringify({meta: this.state.meta}))
+  }
+
+  get meta() {
+    return this.state.meta
+  }
+
+  get lastBlock() {
+    return this.state.meta.lastBlock
+  }
+
+  reset(meta = {}) {
+    this.state = emptyState()
+    Object.assign(this.state.meta, meta)
+    this.ids = new Set()
+    this.rewrite = true
+    this.save()
+  }
+
+  // keep the events of the replaced contract, a contract upgraded back is no longer a previous one
+  replaceContract(name, address) {
+    const {meta} = this.state
+    const previous = (meta.previousContracts[name] || []).concat(meta.contracts[name])
+    meta.previousContracts[name] = previous.filter(item => item !== address)
+    meta.contracts[name] = address
+  }
+
+  // returns the events which are not stored before
+  // blocks are indexed in order, so only the new events are sorted before they are appended
+  addEvents(events) {
+    const added = events.filter(event => !this.ids.has(eventId(event))).sort(byPosition)
+    added.forEach((event) => {
+      this.ids.add(eventId(event))
+      this.state.events.push(event)
+    })
+    this.unsaved.push(...added)
+    return added
+  }
+
+  markProcessed(blockNumber, blockHash, keepBlocks) {
+    const {meta} = this.state
+    meta.lastBlock = blockNumber
+    meta.blockHashes[blockNumber] = blockHash
+    Object.keys(meta.blockHashes)
+      .filter(number => Number(number) <= blockNumber - keepBlocks)
+      .forEach((number) => { delete meta.blockHashes[number] })
+  }
+
+  // drop everything after blockNumber, e.g. blocks replaced by a reorg
+  rollback(blockNumber) {
+    const {meta} = this.state
+    const removed = this.state.events.filter(event => event.blockNumber > blockNumber)
+    removed.forEach(event => this.ids.delete(eventId(event)))
+    this.state.events = this.state.events.filter(event => event.blockNumber <= blockNumber)
+    this.unsaved = this.unsaved.filter(event => event.blockNumber <= blockNumber)
+    if (removed.length > 0) this.rewrite = true
+    Object.keys(meta.blockHashes)
+      .filter(number => Number(number) > blockNumber)
+      .forEach((number) => { delete meta.blockHashes[number] })
+    meta.lastBlock = Math.min(meta.lastBlock, blockNumber)
+    return removed
+  }
+
+  // query by event name, contract, block range and returnValues fields
+  find({event, contract, fromBlock = 0, toBlock = Infinity, where = {}} = {}) {
+    const whereKeys = Object.keys(where)
+    return this.state.events.filter(record => (
+      (!event || record.event === event)
+      && (!contract || record.contract === contract)
+      && record.blockNumber >= fromBlock
+      && record.blockNumber <= toBlock
+      && whereKeys.every(key => String(record.returnValues[key]).toLowerCase() === String(where[key]).toLowerCase())
+    ))
+  }
+}
@@ -1,8 +1,12 @@
 
 const BigNumber = require('bignumber.js')
 const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {OracleHarness} = require('../config/oracleHarness.js')
 
 const CONSENSUS_THRESHOLD = 4
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
 const minFund = web3.utils.toWei('10', 'ether')
 
 // flight data
@@ -16,7 +20,7 @@ contract('Flight Surety Tests', async (accounts) => {
   const airlineAddresses = []
   const passengerAddresses = []
   before('setup contract', async () => {
-    config = await Test.Config(accounts)
+    config = trackGas(await Test.Config(accounts), 'flightSurety')
     contractAddress = config.flightSuretyApp.address
     contractOwnerAddress = config.testAddresses[2]
 
@@ -216,6 +220,21 @@ contract('Flight Surety Tests', async (accounts) => {
     assert.equal(web3.utils.fromWei(airlineBalance, 'ether'), 40, 'There should be 5 airline registed, with 5 * minFund')
   })
 
+  it('(airline) get airline registration status and votes', async () => {
+    // ARRANGE
+    const [,,,,,, passengerAddress] = accounts
+    // ACT
+    const airlineStatus = await config.flightSuretyApp.getAirlineStatus(airlineAddresses[3])
+    const passengerStatus = await config.flightSuretyApp.getAirlineStatus(passengerAddress)
+    // ASSERT
+    assert.equal(airlineStatus.isRegistered, true, '4th airline should be registered')
+    assert.equal(airlineStatus.hasPaidFund, true, '4th airline should be paid fund')
+    assert.equal(airlineStatus.votes, 0, 'Votes should be reset after registered')
+    assert.equal(airlineStatus.requiredVotes, 2, 'Half of 5 registered airlines should vote')
+    assert.equal(passengerStatus.isRegistered, false, 'Passenger should not be registered')
+    assert.equal(passengerStatus.hasPaidFund, false, 'Passenger should not be paid fund')
+  })
+
   it('(flight) register a flight', async () => {
     // ARRANGE
     const {airlineAddress, flightCode, timestamp} = flightDataArray[0]
@@ -224,9 +243,12 @@ contract('Flight Surety Tests', async (accounts) => {
     const beforeFlightRegistered = await config.flightSuretyData.checkIsFlight(flightKey, {from: contractAddress})
     await config.flightSuretyApp.registerFlight(flightCode, timestamp, {from: airlineAddress})
     const isFlightRegistered = await config.flightSuretyData.checkIsFlight(flightKey, {from: contractAddress})
+    const [flightRegisteredEvent] = await config.flightSuretyData.getPastEvents('FlightRegistered', {fromBlock: 0})
     // ASSERT
     assert.equal(beforeFlightRegistered, false, 'Flight is registered before')
     assert.equal(isFlightRegistered, true, 'Cannot register flight')
+    assert.equal(flightRegisteredEvent.returnValues.airline, airlineAddress, 'FlightRegistered event should have the airline')
+    assert.equal(flightRegisteredEvent.returnValues.flightCode, flightCode, 'FlightRegistered event should have the flight code')
   })
 
   it('(insurance) buy Insurance', async () => {
@@ -258,38 +280,81 @@ contract('Flight Surety Tests', async (accounts) => {
     assert.equal(web3.utils.fromWei(insuranceBalanceAfterAddInsurance, 'ether'), 2, 'Cannot add insurance balance')
   })
 
-  it('(flight) update flight status to delay', async () => {
+  it('(flight) oracle consensus updates flight status to delay', async () => {
     // ARRANGE
-    const flightDelayStatusCode = 2
+    const flightDelayStatusCode = 20
     const {airlineAddress, flightCode, timestamp} = flightDataArray[0]
+    const harness = new OracleHarness(config)
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
 
     // ACT
     const flightStatusBeforeUpdate = await config.flightSuretyData.getFlightStatus(airlineAddress, flightCode, timestamp, {from: contractAddress})
-    await config.flightSuretyApp.updateFlightStatus(flightCode, timestamp, flightDelayStatusCode, {from: airlineAddress})
+    await harness.resolve({airline: airlineAddress, flightCode, timestamp}, flightDelayStatusCode)
     const updatedFlightStatus = await config.flightSuretyData.getFlightStatus(airlineAddress, flightCode, timestamp, {from: contractAddress})
+    const [statusUpdatedEvent] = await config.flightSuretyData.getPastEvents('FlightStatusUpdated', {fromBlock: 0})
     // ASSERT
     assert.equal(flightStatusBeforeUpdate, 0, 'Status should be 0')
+    assert.equal(statusUpdatedEvent.returnValues.flightCode, flightCode, 'FlightStatusUpdated event should have the flight code')
+    assert.equal(statusUpdatedEvent.returnValues.statusCode, flightDelayStatusCode, 'FlightStatusUpdated event should have the status code')
     assert.notEqual(flightStatusBeforeUpdate, flightDelayStatusCode, 'Status should equal to flightDelayStatusCode')
     assert.equal(updatedFlightStatus, flightDelayStatusCode, 'Status should be flightDelayStatusCode')
   })
 
   it('(insurance) passenger receives credit of insurance payout', async () => {
     // ARRANGE
-    const flightDelayStatusCode = 2
+    const flightDelayStatusCode = 20
     const {airlineAddress, flightCode, timestamp} = flightDataArray[0]
     const passengerAddress = passengerAddresses[0]
 
     // ACT
     const flightStatus = await config.flightSuretyData.getFlightStatus(airlineAddress, flightCode, timestamp, {from: contractAddress})
     const insuranceAmmount = await config.flightSuretyApp.checkInsuranceAmount(airlineAddress, flightCode, timestamp, {from: passengerAddress})
+    const passangerBalance = await config.flightSuretyData.getPassengerBalance(passengerAddress, {from: contractAddress})
+
+    // ASSERT
+    assert.equal(flightStatus, flightDelayStatusCode, 'Status should be flightDelayStatusCode')
+    assert.equal(passangerBalance, insuranceAmmount * 1.5, 'Oracle consensus should credit the payout')
+  })
+
+  it('(insurance) passenger cannot claim the same insurance payout twice', async () => {
+    // ARRANGE
+    const {airlineAddress, flightCode, timestamp} = flightDataArray[0]
+    const passengerAddress = passengerAddresses[0]
+    let reverted = false
+
+    // ACT
     const passangerBalanceBefore = await config.flightSuretyData.getPassengerBalance(passengerAddress, {from: contractAddress})
-    await config.flightSuretyApp.insurancePayout(airlineAddress, flightCode, timestamp, {from: passengerAddress})
+    try {
+      await config.flightSuretyApp.insurancePayout(airlineAddress, flightCode, timestamp, {from: passengerAddress})
+    } catch (e) {
+      reverted = true
+    }
     const passangerBalanceAfter = await config.flightSuretyData.getPassengerBalance(passengerAddress, {from: contractAddress})
 
     // ASSERT
-    assert.equal(flightStatus, flightDelayStatusCode, 'Status should be flightDelayStatusCode')
-    assert.equal(passangerBalanceBefore, 0, 'Passanger should be 0 at the beginning')
-    assert.equal(passangerBalanceAfter, insuranceAmmount * 1.5, 'Status should be flightDelayStatusCode')
+    assert.equal(reverted, true, 'Second payout should be rejected')
+    assert.equal(passangerBalanceAfter.toString(), passangerBalanceBefore.toString(), 'Passenger balance should not change')
+  })
+
+  it('(insurance) passenger cannot buy insurance once the flight status is known', async () => {
+    // ARRANGE
+    const {airlineAddress, flightCode, timestamp} = flightDataArray[0]
+    const passengerAddress = passengerAddresses[0]
+    const amountToPaid = web3.utils.toWei('1', 'ether')
+    let reason = null
+
+    // ACT
+    const insuranceAmmountBefore = await config.flightSuretyApp.checkInsuranceAmount(airlineAddress, flightCode, timestamp, {from: passengerAddress})
+    try {
+      await config.flightSuretyApp.buyInsurance(passengerAddress, airlineAddress, flightCode, timestamp, amountToPaid, {from: passengerAddress, value: amountToPaid})
+    } catch (e) {
+      reason = e.message
+    }
+    const insuranceAmmountAfter = await config.flightSuretyApp.checkInsuranceAmount(airlineAddress, flightCode, timestamp, {from: passengerAddress})
+
+    // ASSERT
+    assert.include(reason, 'Flight status is already known', 'Delayed flight should not be insured')
+    assert.equal(insuranceAmmountAfter.toString(), insuranceAmmountBefore.toString(), 'Insurance amount should not change')
   })
 
   it('(insurance) passenger withdraw funds', async () => {
@@ -0,0 +1,99 @@
+const Test = require('../config/testConfig.js')
+const {STATUS_CODE_LATE_AIRLINE, OracleHarness} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+
+const {toBN, toWei} = web3.utils
+const joinFee = toWei('10', 'ether')
+const deposit = toWei('5', 'ether')
+const premium = toWei('1', 'ether')
+const payout = toWei('1.5', 'ether')
+const withdrawal = toWei('0.5', 'ether')
+const gift = toWei('0.25', 'ether')
+
+contract('Flight Surety Ledger Tests', async (accounts) => {
+  let config
+  let app
+  let data
+  let airline
+  let harness
+  const passenger = accounts[6]
+  const flightCode = 'LD0001'
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  const eventOf = async (name, {receipt}) => {
+    const [event] = await data.getPastEvents(name, {fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber})
+    return event && event.returnValues
+  }
+
+  before('setup contract', async () => {
+    config = await Test.Config(accounts)
+    app = config.flightSuretyApp
+    data = config.flightSuretyData
+    airline = config.firstAirline
+    harness = new OracleHarness(config)
+    await data.authorizeContracts(app.address)
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+  })
+
+  it('(ledger) airline funding and insurance deposits are emitted', async () => {
+    // ACT
+    const funded = await eventOf('AirlineFunded', await app.payFunding({from: airline, value: joinFee}))
+    const deposited = await eventOf('InsuranceDeposited', await app.addInsuranceBalance(deposit, {from: airline, value: deposit}))
+
+    // ASSERT
+    assert.equal(funded.airline, airline, 'AirlineFunded should have the airline')
+    assert.equal(funded.amount, joinFee, 'AirlineFunded should have the fee')
+    assert.equal(deposited.depositor, airline, 'InsuranceDeposited should have the airline')
+    assert.equal(deposited.amount, deposit, 'InsuranceDeposited should have the deposit')
+  })
+
+  it('(ledger) premiums and withdrawals are emitted', async () => {
+    // ARRANGE
+    await app.registerFlight(flightCode, timestamp, {from: airline})
+    const flightKey = await data.getFlightKey(airline, flightCode, timestamp, {from: app.address})
+
+    // ACT
+    const purchased = await eventOf('InsurancePurchased', await app.buyInsurance(passenger, airline, flightCode, timestamp, premium, {from: passenger, value: premium}))
+    await harness.resolve({airline, flightCode, timestamp}, STATUS_CODE_LATE_AIRLINE)
+    const withdrawn = await eventOf('PassengerWithdrawal', await app.withdrawPassengerBalance(withdrawal, {from: passenger}))
+
+    // ASSERT
+    assert.equal(purchased.passenger, passenger, 'InsurancePurchased should have the passenger')
+    assert.equal(purchased.flightKey, flightKey, 'InsurancePurchased should have the flight')
+    assert.equal(purchased.amount, premium, 'InsurancePurchased should have the premium')
+    assert.equal(withdrawn.passenger, passenger, 'PassengerWithdrawal should have the passenger')
+    assert.equal(withdrawn.amount, withdrawal, 'PassengerWithdrawal should have the amount')
+  })
+
+  it('(ledger) ether sent to the contract is emitted', async () => {
+    // ACT
+    const received = await eventOf('FundReceived', await data.fund({from: accounts[7], value: gift}))
+
+    // ASSERT
+    assert.equal(received.sender, accounts[7], 'FundReceived should have the sender')
+    assert.equal(received.amount, gift, 'FundReceived should have the amount')
+  })
+
+  it('(ledger) money movement events add up to the contract balances', async () => {
+    // ARRANGE
+    const events = await data.getPastEvents('allEvents', {fromBlock: 0})
+    const sumOf = name => events
+      .filter(event => event.event === name)
+      .reduce((sum, event) => sum.add(toBN(event.returnValues.amount || event.returnValues.payout)), toBN(0))
+
+    // ACT
+    const airlines = sumOf('AirlineFunded')
+    const insurance = sumOf('InsuranceDeposited').add(sumOf('InsurancePurchased')).sub(sumOf('InsureeCredited'))
+    const passengers = sumOf('InsureeCredited').sub(sumOf('PassengerWithdrawal'))
+    const total = airlines.add(insurance).add(passengers).add(sumOf('FundReceived'))
+
+    // ASSERT
+    assert.equal(sumOf('InsureeCredited').toString(), payout, 'Payout should be credited')
+    assert.equal(airlines.toString(), (await data.checkAirlineBalance({from: app.address})).toString(), 'Funding should match the airline balance')
+    assert.equal(insurance.toString(), (await data.checkInsuranceBalance({from: app.address})).toString(), 'Insurance should match the insurance balance')
+    assert.equal(passengers.toString(), (await data.getPassengerBalance(passenger, {from: app.address})).toString(), 'Credits should match the passenger balance')
+    assert.equal(total.toString(), await web3.eth.getBalance(data.address), 'Total should match the ether of the contract')
+  })
+})
@@ -0,0 +1,138 @@
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {expectRevert} = require('../config/oracleHarness.js')
+
+const joinFee = web3.utils.toWei('10', 'ether')
+
+contract('Flight Surety Operating Status Tests', async (accounts) => {
+  let config
+  let app
+  const airlines = accounts.slice(1, 5)
+  const [firstAirline, secondAirline, thirdAirline] = airlines
+  const passenger = accounts[6]
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  const vote = (mode, airline) => app.voteOperatingStatus(mode, {from: airline})
+
+  before('setup contract and fund 4 airlines', async () => {
+    config = trackGas(await Test.Config(accounts), 'operatingStatus')
+    app = config.flightSuretyApp
+    await config.flightSuretyData.authorizeContracts(app.address)
+    await app.payFunding({from: firstAirline, value: joinFee})
+    // eslint-disable-next-line no-restricted-syntax
+    for (const airline of airlines.slice(1)) {
+      // eslint-disable-next-line no-await-in-loop
+      await app.registerAirline(airline, {from: firstAirline})
+      // eslint-disable-next-line no-await-in-loop
+      await app.payFunding({from: airline, value: joinFee})
+    }
+  })
+
+  it('(operating status) app reports the operating status of the data contract', async () => {
+    // ACT
+    await config.flightSuretyData.setOperatingStatus(false)
+    const paused = await app.isOperational()
+    await config.flightSuretyData.setOperatingStatus(true)
+    const resumed = await app.isOperational()
+
+    // ASSERT
+    assert.equal(paused, false, 'App should report the paused data contract')
+    assert.equal(resumed, true, 'App should report the resumed data contract')
+  })
+
+  it('(operating status) only funded airlines can vote', async () => {
+    await expectRevert(vote(false, passenger), 'Caller is not a funded airline')
+  })
+
+  it('(operating status) cannot vote for the current operating status', async () => {
+    await expectRevert(vote(true, firstAirline), 'Operating status is already set')
+  })
+
+  it('(operating status) one vote is not enough and an airline votes once', async () => {
+    // ACT
+    await vote(false, firstAirline)
+    const {operational, votes, requiredVotes} = await app.getOperatingStatusVotes()
+
+    // ASSERT
+    assert.equal(operational, true, 'Contracts should still be operational')
+    assert.equal(Number(votes), 1, 'Vote should be counted')
+    assert.equal(Number(requiredVotes), 2, 'Half of the 4 funded airlines should be required')
+    assert.equal(await app.hasVotedOperatingStatus(firstAirline), true, 'Airline should have voted')
+    await expectRevert(vote(false, firstAirline), 'Airline already voted')
+  })
+
+  it('(operating status) enough votes pause the contracts and block write actions', async () => {
+    // ACT
+    const {logs, receipt} = await vote(false, secondAirline)
+    const [changedEvent] = await config.flightSuretyData.getPastEvents('OperatingStatusChanged', {fromBlock: receipt.blockNumber})
+
+    // ASSERT
+    const votedEvent = logs.find(log => log.event === 'OperatingStatusVoted')
+    assert.equal(Number(votedEvent.args.votes), 2, 'OperatingStatusVoted should have the votes')
+    assert.equal(changedEvent.returnValues.mode, false, 'OperatingStatusChanged should be emitted')
+    assert.equal(await config.flightSuretyData.isOperational(), false, 'Data contract should be paused')
+    assert.equal(await app.isOperational(), false, 'App should be paused')
+    await expectRevert(app.registerFlight('OS0001', timestamp, {from: firstAirline}), 'Contract is currently not operational')
+    await expectRevert(app.fetchFlightStatus(firstAirline, 'OS0001', timestamp), 'Contract is currently not operational')
+  })
+
+  it('(operating status) resuming needs a new round of votes', async () => {
+    // ARRANGE
+    const {votes} = await app.getOperatingStatusVotes()
+
+    // ACT
+    await vote(true, firstAirline)
+    const pausedAfterOneVote = await app.isOperational()
+    await vote(true, thirdAirline)
+
+    // ASSERT
+    assert.equal(Number(votes), 0, 'Pause votes should not count for resuming')
+    assert.equal(pausedAfterOneVote, false, 'One vote should not resume the contracts')
+    assert.equal(await app.isOperational(), true, 'Contracts should be resumed')
+    await app.registerFlight('OS0001', timestamp, {from: firstAirline})
+  })
+
+  it('(operating status) votes are dropped once the owner switches the status', async () => {
+    // ARRANGE
+    await vote(false, firstAirline)
+    await config.flightSuretyData.setOperatingStatus(false)
+
+    // ACT
+    await vote(true, secondAirline)
+    const {operational, votes} = await app.getOperatingStatusVotes()
+    await vote(true, firstAirline)
+
+    // ASSERT
+    assert.equal(operational, false, 'One vote should not resume the contracts')
+    assert.equal(Number(votes), 1, 'Pause vote should not count for resuming')
+    assert.equal(await app.isOperational(), true, 'Contracts should be resumed')
+  })
+
+  it('(operating status) only funded airlines count towards the required votes', async () => {
+    // ARRANGE
+    const fresh = await Test.Config(accounts)
+    await fresh.flightSuretyData.authorizeContracts(fresh.flightSuretyApp.address)
+    await fresh.flightSuretyApp.payFunding({from: firstAirline, value: joinFee})
+    // eslint-disable-next-line no-restricted-syntax
+    for (const airline of airlines.slice(1)) {
+      // eslint-disable-next-line no-await-in-loop
+      await fresh.flightSuretyApp.registerAirline(airline, {from: firstAirline})
+    }
+
+    // ACT
+    const {requiredVotes} = await fresh.flightSuretyApp.getOperatingStatusVotes()
+    await fresh.flightSuretyApp.voteOperatingStatus(false, {from: firstAirline})
+
+    // ASSERT
+    assert.equal(Number(await fresh.flightSuretyData.getRegisteredAirlineCount()), 4, '4 airlines should be registered')
+    assert.equal(Number(requiredVotes), 1, 'Only the funded airline should be counted')
+    assert.equal(await fresh.flightSuretyApp.isOperational(), false, 'Vote of the only funded airline should pause the contracts')
+  })
+
+  it('(operating status) only the owner and authorized contracts switch the data contract', async () => {
+    await expectRevert(
+      config.flightSuretyData.setOperatingStatus(false, {from: passenger}),
+      'Caller is not contract owner or authorized contract',
+    )
+  })
+})
@@ -0,0 +1,129 @@
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {
+  MIN_RESPONSES,
+  STATUS_CODE_ON_TIME,
+  OracleHarness,
+  expectRevert,
+} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+
+contract('Flight Surety Oracle Request Tests', async (accounts) => {
+  let config
+  let airlineAddress
+  let timeout
+  let harness
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  const flightOf = flightCode => ({airline: airlineAddress, flightCode, timestamp})
+
+  // one more matching oracle than MIN_RESPONSES to respond after consensus
+  const requestFlightStatus = flightCode => harness.request(flightOf(flightCode), MIN_RESPONSES + 1)
+
+  const respond = (request, oracle, statusCode = STATUS_CODE_ON_TIME) => harness.respond(request, oracle, statusCode)
+
+  before('setup contract', async () => {
+    config = trackGas(await Test.Config(accounts), 'oracleRequests')
+    harness = new OracleHarness(config)
+    airlineAddress = config.firstAirline
+    await config.flightSuretyData.authorizeContracts(config.flightSuretyApp.address)
+    timeout = Number(await config.flightSuretyApp.getOracleRequestTimeout())
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+  })
+
+  it('(oracle request) cannot request the status of a flight with a pending request', async () => {
+    // ARRANGE
+    const flightCode = 'OR0001'
+    await requestFlightStatus(flightCode)
+
+    // ACT
+    const request = await config.flightSuretyApp.getOracleRequest(airlineAddress, flightCode, timestamp)
+
+    // ASSERT
+    assert.equal(request.isOpen, true, 'Request should be open')
+    await expectRevert(config.flightSuretyApp.fetchFlightStatus(airlineAddress, flightCode, timestamp), 'Flight status request is pending')
+  })
+
+  it('(oracle request) an oracle responds once per request', async () => {
+    // ARRANGE
+    const flightCode = 'OR0002'
+    const request = await requestFlightStatus(flightCode)
+    const [oracle] = request.oracles
+
+    // ACT
+    await respond(request, oracle)
+
+    // ASSERT
+    await expectRevert(respond(request, oracle), 'Oracle already responded')
+  })
+
+  it('(oracle request) request is closed once consensus is reached', async () => {
+    // ARRANGE
+    const flightCode = 'OR0003'
+    const request = await requestFlightStatus(flightCode)
+
+    // ACT
+    for (let i = 0; i < MIN_RESPONSES; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await respond(request, request.oracles[i])
+    }
+    const {isOpen} = await config.flightSuretyApp.getOracleRequest(airlineAddress, flightCode, timestamp)
+
+    // ASSERT
+    assert.equal(isOpen, false, 'Request should be closed after consensus')
+    await expectRevert(respond(request, request.oracles[MIN_RESPONSES]), 'Flight or timestamp do not match oracle request')
+  })
+
+  it('(oracle request) request expires after the timeout', async () => {
+    // ARRANGE
+    const flightCode = 'OR0004'
+    const request = await requestFlightStatus(flightCode)
+    await expectRevert(
+      config.flightSuretyApp.expireOracleRequest(airlineAddress, flightCode, timestamp),
+      'Oracle request has not expired',
+    )
+
+    // ACT
+    await harness.expireRequest()
+    await expectRevert(respond(request, request.oracles[0]), 'Oracle request expired')
+    const {logs} = await config.flightSuretyApp.expireOracleRequest(airlineAddress, flightCode, timestamp)
+    const {isOpen} = await config.flightSuretyApp.getOracleRequest(airlineAddress, flightCode, timestamp)
+
+    // ASSERT
+    const expiredEvent = logs.find(log => log.event === 'OracleRequestExpired')
+    assert.equal(Number(expiredEvent.args.index), request.index, 'OracleRequestExpired should have the request index')
+    assert.equal(expiredEvent.args.flight, flightCode, 'OracleRequestExpired should have the flight')
+    assert.equal(isOpen, false, 'Expired request should be closed')
+  })
+
+  it('(oracle request) a new request closes the expired one of the same flight', async () => {
+    // ARRANGE
+    const flightCode = 'OR0005'
+    await requestFlightStatus(flightCode)
+    await harness.expireRequest()
+
+    // ACT
+    const {logs} = await config.flightSuretyApp.fetchFlightStatus(airlineAddress, flightCode, timestamp)
+    const {isOpen} = await config.flightSuretyApp.getOracleRequest(airlineAddress, flightCode, timestamp)
+
+    // ASSERT
+    assert.deepEqual(logs.map(log => log.event), ['OracleRequestExpired', 'OracleRequest'], 'Expired request should be closed before the new one')
+    assert.equal(isOpen, true, 'New request should be open')
+  })
+
+  it('(oracle request) only the contract owner can change the request timeout', async () => {
+    // ARRANGE
+    const [owner, other] = accounts
+
+    // ACT
+    await expectRevert(config.flightSuretyApp.setOracleRequestTimeout(5, {from: other}), 'Caller is not contract owner')
+    await config.flightSuretyApp.setOracleRequestTimeout(5, {from: owner})
+    const updatedTimeout = await config.flightSuretyApp.getOracleRequestTimeout()
+    await config.flightSuretyApp.setOracleRequestTimeout(timeout, {from: owner})
+
+    // ASSERT
+    assert.equal(Number(updatedTimeout), 5, 'Timeout should be updated')
+  })
+})
@@ -0,0 +1,195 @@
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {
+  MIN_RESPONSES,
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_WEATHER,
+  OracleHarness,
+  expectRevert,
+} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+const ORACLE_REQUEST_TIMEOUT = 10
+// Same as ORACLE_STRIKE_LIMIT and ORACLE_SLASH_RATE in FlightSuretyApp
+const ORACLE_STRIKE_LIMIT = 3
+const ORACLE_SLASH_RATE = 25
+
+const {toBN} = web3.utils
+
+contract('Oracle Staking Tests', async (accounts) => {
+  let config
+  let app
+  let harness
+  let fee
+  let dissenter
+  const flight = {flightCode: 'ST0001', timestamp: Math.floor(Date.now() / 1000)}
+  const unregistered = accounts[ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT]
+
+  const insuranceBalance = () => config.flightSuretyData.checkInsuranceBalance({from: app.address})
+  const eventsOf = (logs, name) => logs.filter(log => log.event === name)
+
+  // the dissenter answers on time before the other responders agree on a weather delay
+  const dissent = async () => {
+    const request = await harness.request(flight, MIN_RESPONSES + 1, dissenter)
+    await harness.respond(request, dissenter, STATUS_CODE_ON_TIME)
+    let logs
+    for (let i = 1; i <= MIN_RESPONSES; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      ({logs} = await harness.respond(request, request.oracles[i], STATUS_CODE_LATE_WEATHER))
+    }
+    return {request, logs}
+  }
+
+  before('setup contract and oracles', async () => {
+    config = trackGas(await Test.Config(accounts), 'oracleStaking')
+    app = config.flightSuretyApp
+    harness = new OracleHarness(config)
+    flight.airline = config.firstAirline
+    await config.flightSuretyData.authorizeContracts(app.address)
+    await app.setOracleRequestTimeout(ORACLE_REQUEST_TIMEOUT)
+    fee = await app.REGISTRATION_FEE.call()
+    const oracles = await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+    dissenter = oracles[0]
+  })
+
+  it('(oracle staking) registration fee is held as stake and an oracle registers once', async () => {
+    // ACT
+    const oracle = await app.getOracle(dissenter.address)
+
+    // ASSERT
+    assert.equal(oracle.isRegistered, true, 'Oracle should be registered')
+    assert.equal(oracle.stake.toString(), fee.toString(), 'Registration fee should be staked')
+    await expectRevert(app.registerOracle({from: dissenter.address, value: fee}), 'Oracle already registered')
+  })
+
+  it('(oracle staking) only registered oracles can respond with a valid status code', async () => {
+    // ARRANGE
+    const request = await harness.request(flight)
+    const {airline, flightCode, timestamp} = flight
+
+    // ACT
+    const unregisteredResponse = app.submitOracleResponse(request.index, airline, flightCode, timestamp, STATUS_CODE_ON_TIME, {from: unregistered})
+    const invalidResponse = harness.respond(request, request.oracles[0], 7)
+
+    // ASSERT
+    await expectRevert(unregisteredResponse, 'Not registered as an oracle')
+    await expectRevert(invalidResponse, 'Flight status code is not valid')
+    await harness.expireRequest()
+  })
+
+  it('(oracle staking) consensus scores every responder', async () => {
+    // ACT
+    const {request, logs} = await dissent()
+    const dissenterInfo = await app.getOracle(dissenter.address)
+    const agreeingInfo = await app.getOracle(request.oracles[1].address)
+
+    // ASSERT
+    const scores = eventsOf(logs, 'OracleScored')
+    assert.equal(scores.length, MIN_RESPONSES + 1, 'Every responder should be scored')
+    assert.equal(scores.filter(score => !score.args.agreed)[0].args.oracle, dissenter.address, 'Dissenter should disagree')
+    assert.equal(Number(dissenterInfo.disagreements), 1, 'Disagreement should be counted')
+    assert.equal(Number(dissenterInfo.strikes), 1, 'Disagreement should be a strike')
+    assert.isAtLeast(Number(agreeingInfo.agreements), 1, 'Agreement should be counted')
+    assert.equal(Number(agreeingInfo.strikes), 0, 'Agreement should not be a strike')
+  })
+
+  it('(oracle staking) repeated disagreements slash the stake into the insurance balance', async () => {
+    // ARRANGE
+    const balanceBefore = await insuranceBalance()
+    const slashed = toBN(fee).muln(ORACLE_SLASH_RATE).divn(100)
+
+    // ACT
+    await dissent()
+    const {logs} = await dissent()
+    const oracle = await app.getOracle(dissenter.address)
+
+    // ASSERT
+    const [slashEvent] = eventsOf(logs, 'OracleSlashed')
+    assert.equal(slashEvent.args.oracle, dissenter.address, 'OracleSlashed should have the dissenter')
+    assert.equal(slashEvent.args.amount.toString(), slashed.toString(), 'Part of the stake should be slashed')
+    assert.equal(oracle.stake.toString(), toBN(fee).sub(slashed).toString(), 'Stake should be reduced')
+    assert.equal(oracle.slashed.toString(), slashed.toString(), 'Slashed amount should be tracked')
+    assert.equal(Number(oracle.strikes), 0, 'Strikes should be reset by the slash')
+    assert.equal(Number(oracle.disagreements), ORACLE_STRIKE_LIMIT, 'Disagreements should be kept')
+    assert.equal(oracle.isSuspended, false, 'Oracle should keep responding')
+    assert.equal((await insuranceBalance()).toString(), balanceBefore.add(slashed).toString(), 'Slashed stake should fund the insurance')
+  })
+
+  it('(oracle staking) oracle is suspended once its stake falls below half the fee', async () => {
+    // ACT
+    let logs
+    for (let round = 0; round < 2 * ORACLE_STRIKE_LIMIT; round += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      ({logs} = await dissent())
+    }
+    const oracle = await app.getOracle(dissenter.address)
+    const request = await harness.request(flight, 1, dissenter)
+
+    // ASSERT
+    const [suspendedEvent] = eventsOf(logs, 'OracleSuspended')
+    assert.equal(suspendedEvent.args.oracle, dissenter.address, 'OracleSuspended should have the dissenter')
+    assert.equal(oracle.isSuspended, true, 'Oracle should be suspended')
+    assert.isTrue(toBN(oracle.stake).lt(toBN(fee).divn(2)), 'Stake should be below half the fee')
+    await expectRevert(harness.respond(request, dissenter, STATUS_CODE_ON_TIME), 'Oracle is suspended')
+    await harness.expireRequest()
+  })
+
+  it('(oracle staking) stake is refunded once the pending requests expired', async () => {
+    // ARRANGE
+    const request = await harness.request(flight, MIN_RESPONSES + 1)
+    // the suspended dissenter cannot respond
+    request.oracles = request.oracles.filter(oracle => oracle.address !== dissenter.address)
+    await harness.submitResponses(request, Array(MIN_RESPONSES).fill(STATUS_CODE_LATE_WEATHER))
+    const [responder] = request.oracles
+    const {stake} = await app.getOracle(responder.address)
+    await expectRevert(app.unregisterOracle({from: responder.address}), 'Oracle stake is locked by a pending request')
+    await harness.expireRequest()
+
+    // ACT
+    const {logs} = await app.unregisterOracle({from: responder.address})
+    const oracle = await app.getOracle(responder.address)
+
+    // ASSERT
+    const [unregisteredEvent] = eventsOf(logs, 'OracleUnregistered')
+    assert.equal(unregisteredEvent.args.refund.toString(), stake.toString(), 'Remaining stake should be refunded')
+    assert.equal(oracle.isRegistered, false, 'Oracle should be unregistered')
+    assert.equal(oracle.stake.toString(), '0', 'Stake should be withdrawn')
+    await expectRevert(app.getMyIndexes({from: responder.address}), 'Not registered as an oracle')
+  })
+
+  it('(oracle staking) stake is refunded while the contracts are paused', async () => {
+    // ARRANGE
+    const oracle = harness.oracles[ORACLE_COUNT - 1]
+    const {stake} = await app.getOracle(oracle.address)
+    await config.flightSuretyData.setOperatingStatus(false)
+
+    // ACT
+    let logs
+    try {
+      ({logs} = await app.unregisterOracle({from: oracle.address}))
+    } finally {
+      await config.flightSuretyData.setOperatingStatus(true)
+    }
+
+    // ASSERT
+    const [unregisteredEvent] = eventsOf(logs, 'OracleUnregistered')
+    assert.equal(unregisteredEvent.args.refund.toString(), stake.toString(), 'Stake should be refunded while paused')
+  })
+
+  it('(oracle staking) suspended oracle cannot register again once unregistered', async () => {
+    // ARRANGE
+    const before = await app.getOracle(dissenter.address)
+
+    // ACT
+    await app.unregisterOracle({from: dissenter.address})
+    await expectRevert(app.registerOracle({from: dissenter.address, value: fee}), 'Oracle is suspended')
+    const oracle = await app.getOracle(dissenter.address)
+
+    // ASSERT
+    assert.equal(oracle.isRegistered, false, 'Oracle should stay unregistered')
+    assert.equal(oracle.isSuspended, true, 'Oracle should stay suspended')
+    assert.equal(oracle.strikes.toString(), before.strikes.toString(), 'Strikes should be kept')
+    assert.equal(oracle.disagreements.toString(), before.disagreements.toString(), 'Accuracy should be kept')
+  })
+})
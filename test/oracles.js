@@ -1,74 +1,154 @@
-
-var Test = require('../config/testConfig.js');
-//var BigNumber = require('bignumber.js');
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {
+  MIN_RESPONSES,
+  MAX_REQUEST_ATTEMPTS,
+  STATUS_CODE_UNKNOWN,
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  OracleHarness,
+  expectRevert,
+} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
 
 contract('Oracles', async (accounts) => {
+  let config
+  let harness
+  const timestamp = Math.floor(Date.now() / 1000)
+  const flightOf = flightCode => ({airline: config.firstAirline, flightCode, timestamp})
 
-  const TEST_ORACLES_COUNT = 20;
-  var config;
   before('setup contract', async () => {
-    config = await Test.Config(accounts);
+    config = trackGas(await Test.Config(accounts), 'oracles')
+    harness = new OracleHarness(config)
+    await config.flightSuretyData.authorizeContracts(config.flightSuretyApp.address)
+    await config.flightSuretyApp.payFunding({from: config.firstAirline, value: web3.utils.toWei('10', 'ether')})
+    await Promise.all(['OC0001', 'OC0002', 'OC0003', 'OC0004', 'OC0005'].map(flightCode => (
+      config.flightSuretyApp.registerFlight(flightCode, timestamp, {from: config.firstAirline})
+    )))
+  })
+
+  it('(oracles) can register oracles', async () => {
+    // ARRANGE
+    const addresses = accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT)
+
+    // ACT
+    const oracles = await harness.register(addresses)
+
+    // ASSERT
+    assert.equal(oracles.length, ORACLE_COUNT, 'Every account should be registered')
+    oracles.forEach(({indexes}) => {
+      assert.equal(indexes.length, 3, 'Oracle should have 3 indexes')
+      assert.equal(new Set(indexes).size, 3, 'Oracle indexes should be distinct')
+      indexes.forEach(index => assert.isTrue(index >= 0 && index <= 9, 'Oracle index should be between 0 and 9'))
+    })
+  })
+
+  it('(oracles) cannot register an oracle without the registration fee', async () => {
+    // ARRANGE
+    const fee = await config.flightSuretyApp.REGISTRATION_FEE.call()
+
+    // ACT
+    const registration = config.flightSuretyApp.registerOracle({from: accounts[ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT], value: fee.subn(1)})
+
+    // ASSERT
+    await expectRevert(registration, 'Registration fee is required')
+  })
+
+  it('(oracles) unanimous responses verify the flight status', async () => {
+    // ARRANGE
+    const flight = flightOf('OC0001')
+    const request = await harness.request(flight)
+
+    // ACT
+    const verifiedStatus = await harness.submitResponses(request, Array(MIN_RESPONSES).fill(STATUS_CODE_LATE_WEATHER))
 
-    // Watch contract events
-    const STATUS_CODE_UNKNOWN = 0;
-    const STATUS_CODE_ON_TIME = 10;
-    const STATUS_CODE_LATE_AIRLINE = 20;
-    const STATUS_CODE_LATE_WEATHER = 30;
-    const STATUS_CODE_LATE_TECHNICAL = 40;
-    const STATUS_CODE_LATE_OTHER = 50;
+    // ASSERT
+    assert.equal(verifiedStatus, STATUS_CODE_LATE_WEATHER, 'Status should be verified')
+    await harness.assertFlightStatus(flight, STATUS_CODE_LATE_WEATHER)
+    await harness.assertRequestOpen(flight, false)
+  })
 
-  });
+  it('(oracles) split votes verify the first status reported by enough oracles', async () => {
+    // ARRANGE
+    const flight = flightOf('OC0002')
+    const statusCodes = [STATUS_CODE_ON_TIME, STATUS_CODE_LATE_TECHNICAL, STATUS_CODE_ON_TIME, STATUS_CODE_LATE_TECHNICAL, STATUS_CODE_LATE_TECHNICAL]
+    const request = await harness.request(flight, statusCodes.length)
+
+    // ACT
+    const verifiedStatus = await harness.submitResponses(request, statusCodes)
 
+    // ASSERT
+    assert.equal(verifiedStatus, STATUS_CODE_LATE_TECHNICAL, 'Status of the majority should be verified')
+    await harness.assertFlightStatus(flight, STATUS_CODE_LATE_TECHNICAL)
+  })
 
-  it('can register oracles', async () => {
-    
+  it('(oracles) split votes without enough identical responses leave the flight status unknown', async () => {
     // ARRANGE
-    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    const flight = flightOf('OC0003')
+    const statusCodes = [STATUS_CODE_ON_TIME, STATUS_CODE_LATE_WEATHER, STATUS_CODE_ON_TIME, STATUS_CODE_LATE_WEATHER]
+    const request = await harness.request(flight, statusCodes.length)
 
     // ACT
-    for(let a=1; a<TEST_ORACLES_COUNT; a++) {      
-      await config.flightSuretyApp.registerOracle({ from: accounts[a], value: fee });
-      let result = await config.flightSuretyApp.getMyIndexes.call({from: accounts[a]});
-      console.log(`Oracle Registered: ${result[0]}, ${result[1]}, ${result[2]}`);
-    }
-  });
-
-  it('can request flight status', async () => {
-    
+    const verifiedStatus = await harness.submitResponses(request, statusCodes)
+
+    // ASSERT
+    assert.isUndefined(verifiedStatus, 'No status should be verified')
+    await harness.assertFlightStatus(flight, STATUS_CODE_UNKNOWN)
+    await harness.assertRequestOpen(flight, true)
+  })
+
+  it('(oracles) not enough responders before the timeout leave the request to expire', async () => {
     // ARRANGE
-    let flight = 'ND1309'; // Course number
-    let timestamp = Math.floor(Date.now() / 1000);
+    const flight = flightOf('OC0004')
+    const request = await harness.request(flight)
 
-    // Submit a request for oracles to get status information for a flight
-    await config.flightSuretyApp.fetchFlightStatus(config.firstAirline, flight, timestamp);
     // ACT
+    await harness.submitResponses(request, Array(MIN_RESPONSES - 1).fill(STATUS_CODE_ON_TIME))
+    await harness.expireRequest()
+
+    // ASSERT
+    await expectRevert(harness.respond(request, request.oracles[MIN_RESPONSES - 1], STATUS_CODE_ON_TIME), 'Oracle request expired')
+    await harness.assertFlightStatus(flight, STATUS_CODE_UNKNOWN)
+  })
 
-    // Since the Index assigned to each test account is opaque by design
-    // loop through all the accounts and for each account, all its Indexes (indices?)
-    // and submit a response. The contract will reject a submission if it was
-    // not requested so while sub-optimal, it's a good test of that feature
-    for(let a=1; a<TEST_ORACLES_COUNT; a++) {
+  it('(oracles) responses after the request is closed are rejected', async () => {
+    // ARRANGE
+    const flight = flightOf('OC0005')
+    const request = await harness.request(flight, MIN_RESPONSES + 1)
+    await harness.submitResponses(request, Array(MIN_RESPONSES).fill(STATUS_CODE_ON_TIME))
 
-      // Get oracle information
-      let oracleIndexes = await config.flightSuretyApp.getMyIndexes.call({ from: accounts[a]});
-      for(let idx=0;idx<3;idx++) {
+    // ACT
+    const lateResponse = harness.respond(request, request.oracles[MIN_RESPONSES], STATUS_CODE_LATE_WEATHER)
 
-        try {
-          // Submit a response...it will only be accepted if there is an Index match
-          await config.flightSuretyApp.submitOracleResponse(oracleIndexes[idx], config.firstAirline, flight, timestamp, STATUS_CODE_ON_TIME, { from: accounts[a] });
+    // ASSERT
+    await expectRevert(lateResponse, 'Flight or timestamp do not match oracle request')
+    await harness.assertFlightStatus(flight, STATUS_CODE_ON_TIME)
+  })
 
-        }
-        catch(e) {
-          // Enable this when debugging
-           console.log('\nError', idx, oracleIndexes[idx].toNumber(), flight, timestamp);
-        }
+  it('(oracles) oracles without the request index cannot respond', async () => {
+    // ARRANGE
+    const flight = flightOf('OC0006')
+    const request = await harness.request(flight)
+    const [uninvited] = harness.uninvited(request.index)
 
-      }
-    }
+    // ACT
+    const response = harness.respond(request, uninvited, STATUS_CODE_ON_TIME)
 
+    // ASSERT
+    await expectRevert(response, 'Index does not match oracle request')
+  })
 
-  });
+  it('(oracles) harness gives up when no request can match enough oracles', async () => {
+    // ARRANGE
+    const flight = flightOf('OC0007')
 
+    // ACT
+    const request = harness.request(flight, ORACLE_COUNT + 1)
 
- 
-});
+    // ASSERT
+    await expectRevert(request, `in ${MAX_REQUEST_ATTEMPTS} attempts`)
+  })
+})
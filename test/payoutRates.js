@@ -0,0 +1,105 @@
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_AIRLINE,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  STATUS_CODE_LATE_OTHER,
+  OracleHarness,
+  expectRevert,
+} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+
+const premium = web3.utils.toWei('1', 'ether')
+
+contract('Flight Surety Payout Rate Tests', async (accounts) => {
+  let config
+  let app
+  let airline
+  let harness
+  const [passenger, stranger] = accounts.slice(6, 8)
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  const balanceOf = address => config.flightSuretyData.getPassengerBalance(address, {from: app.address})
+
+  // insure a flight, let the oracles agree on its status and return the payout credited by the consensus
+  const claim = async (flightCode, statusCode) => {
+    await app.registerFlight(flightCode, timestamp, {from: airline})
+    await app.buyInsurance(passenger, airline, flightCode, timestamp, premium, {from: passenger, value: premium})
+    const before = await balanceOf(passenger)
+    await harness.resolve({airline, flightCode, timestamp}, statusCode)
+    return (await balanceOf(passenger)).sub(before)
+  }
+
+  before('setup contract and fund the insurance', async () => {
+    config = trackGas(await Test.Config(accounts), 'payoutRates')
+    app = config.flightSuretyApp
+    airline = config.firstAirline
+    harness = new OracleHarness(config)
+    await config.flightSuretyData.authorizeContracts(app.address)
+    await app.payFunding({from: airline, value: web3.utils.toWei('10', 'ether')})
+    await app.addInsuranceBalance(web3.utils.toWei('5', 'ether'), {from: airline, value: web3.utils.toWei('5', 'ether')})
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+  })
+
+  it('(payout rates) only late airline flights pay out by default', async () => {
+    // ACT
+    const lateAirline = await app.getPayoutRate(STATUS_CODE_LATE_AIRLINE)
+    const weather = await app.getPayoutRate(STATUS_CODE_LATE_WEATHER)
+    const onTime = await app.getPayoutRate(STATUS_CODE_ON_TIME)
+
+    // ASSERT
+    assert.equal(Number(lateAirline), 150, 'Late airline flights should pay 150%')
+    assert.equal(Number(weather), 0, 'Weather delays should not pay out')
+    assert.equal(Number(onTime), 0, 'On time flights should not pay out')
+  })
+
+  it('(payout rates) only the owner sets the rate of a delay', async () => {
+    await expectRevert(app.setPayoutRate(STATUS_CODE_LATE_WEATHER, 50, {from: stranger}), 'Caller is not contract owner')
+    await expectRevert(app.setPayoutRate(STATUS_CODE_ON_TIME, 50), 'Only delays pay out')
+    await expectRevert(app.setPayoutRate(STATUS_CODE_LATE_AIRLINE, 0), 'Late airline flights must pay out')
+    await expectRevert(app.setPayoutRate(STATUS_CODE_LATE_WEATHER, 301), 'Payout rate is over the limit')
+  })
+
+  it('(payout rates) rate change is emitted and used by the next payout', async () => {
+    // ACT
+    const {logs} = await app.setPayoutRate(STATUS_CODE_LATE_WEATHER, 50)
+    const payout = await claim('PR0001', STATUS_CODE_LATE_WEATHER)
+
+    // ASSERT
+    const changedEvent = logs.find(log => log.event === 'PayoutRateChanged')
+    assert.equal(Number(changedEvent.args.statusCode), STATUS_CODE_LATE_WEATHER, 'PayoutRateChanged should have the status code')
+    assert.equal(Number(changedEvent.args.rate), 50, 'PayoutRateChanged should have the rate')
+    assert.equal(payout.toString(), web3.utils.toWei('0.5', 'ether'), 'Weather delay should pay 50% of the premium')
+  })
+
+  it('(payout rates) late airline payout follows its rate', async () => {
+    // ACT
+    await app.setPayoutRate(STATUS_CODE_LATE_AIRLINE, 200)
+    const payout = await claim('PR0002', STATUS_CODE_LATE_AIRLINE)
+
+    // ASSERT
+    assert.equal(payout.toString(), web3.utils.toWei('2', 'ether'), 'Late airline flight should pay 200% of the premium')
+  })
+
+  it('(payout rates) delays without a rate do not pay out', async () => {
+    // ACT
+    const payout = await claim('PR0003', STATUS_CODE_LATE_TECHNICAL)
+
+    // ASSERT
+    assert.equal(payout.toString(), '0', 'Technical delay should not pay out')
+    await expectRevert(app.insurancePayout(airline, 'PR0003', timestamp, {from: passenger}), 'Flight status does not allow a payout')
+  })
+
+  it('(payout rates) every delay status code is listed with its rate', async () => {
+    // ACT
+    const {statusCodes, rates} = await app.getPayoutRates()
+
+    // ASSERT
+    assert.deepEqual(statusCodes.map(Number), [STATUS_CODE_LATE_AIRLINE, STATUS_CODE_LATE_WEATHER, STATUS_CODE_LATE_TECHNICAL, STATUS_CODE_LATE_OTHER], 'Delay status codes should be listed')
+    assert.deepEqual(rates.map(Number), [200, 50, 0, 0], 'Rates should be the current ones')
+  })
+})
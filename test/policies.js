@@ -0,0 +1,116 @@
+const Test = require('../config/testConfig.js')
+const {STATUS_CODE_LATE_AIRLINE, OracleHarness, expectRevert} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+
+const premium = web3.utils.toWei('1', 'ether')
+const payout = web3.utils.toWei('1.5', 'ether')
+const secondPremium = web3.utils.toWei('0.5', 'ether')
+
+contract('Flight Surety Policy Tests', async (accounts) => {
+  let config
+  let app
+  let data
+  let airline
+  let harness
+  const [passenger, otherPassenger] = accounts.slice(6, 8)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const delayed = {flightCode: 'PO0001'}
+  const later = {flightCode: 'PO0002'}
+
+  const dataCall = (name, ...args) => data[name](...args, {from: app.address})
+  const buy = (buyer, {flightCode}, amount) => app.buyInsurance(buyer, airline, flightCode, timestamp, amount, {from: buyer, value: amount})
+
+  before('setup contract and flights', async () => {
+    config = await Test.Config(accounts)
+    app = config.flightSuretyApp
+    data = config.flightSuretyData
+    airline = config.firstAirline
+    harness = new OracleHarness(config)
+    await data.authorizeContracts(app.address)
+    await app.payFunding({from: airline, value: web3.utils.toWei('10', 'ether')})
+    await app.addInsuranceBalance(web3.utils.toWei('5', 'ether'), {from: airline, value: web3.utils.toWei('5', 'ether')})
+    delayed.flightKey = await dataCall('getFlightKey', airline, delayed.flightCode, timestamp)
+    later.flightKey = await dataCall('getFlightKey', airline, later.flightCode, timestamp)
+    await app.registerFlight(delayed.flightCode, timestamp, {from: airline})
+    await app.registerFlight(later.flightCode, timestamp, {from: airline})
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+  })
+
+  it('(policies) passenger and flight policies are listed in order of purchase', async () => {
+    // ACT
+    await buy(passenger, delayed, premium)
+    await buy(otherPassenger, delayed, secondPremium)
+    const passengerCount = await dataCall('getPassengerPolicyCount', passenger)
+    const policy = await dataCall('getPassengerPolicy', passenger, 0)
+    const flightCount = await dataCall('getFlightPolicyCount', delayed.flightKey)
+    const flightPolicy = await dataCall('getFlightPolicy', delayed.flightKey, 1)
+
+    // ASSERT
+    assert.equal(Number(passengerCount), 1, 'Passenger should have one policy')
+    assert.equal(policy.flightKey, delayed.flightKey, 'Policy should cover the flight')
+    assert.equal(policy.premium.toString(), premium, 'Policy should have the premium')
+    assert.equal(policy.isPayout, false, 'Policy should not be paid out')
+    assert.equal(Number(flightCount), 2, 'Flight should have both policies')
+    assert.equal(flightPolicy.passenger, otherPassenger, 'Second policy should be of the other passenger')
+    assert.equal(flightPolicy.premium.toString(), secondPremium, 'Flight policy should have the premium')
+  })
+
+  it('(policies) flight of a policy is readable by its key', async () => {
+    // ACT
+    const flight = await dataCall('getFlight', delayed.flightKey)
+
+    // ASSERT
+    assert.equal(flight.airline, airline, 'Flight should have its airline')
+    assert.equal(flight.flightCode, delayed.flightCode, 'Flight should have its code')
+    assert.equal(Number(flight.timestamp), timestamp, 'Flight should have its departure')
+    await expectRevert(dataCall('getFlight', web3.utils.soliditySha3('unknown')), 'Flight not exist')
+  })
+
+  it('(policies) credited payout is recorded on the policy', async () => {
+    // ACT
+    await harness.resolve({airline, flightCode: delayed.flightCode, timestamp}, STATUS_CODE_LATE_AIRLINE)
+    const policy = await dataCall('getPassengerPolicy', passenger, 0)
+
+    // ASSERT
+    assert.equal(policy.isPayout, true, 'Policy should be paid out')
+    assert.equal(policy.credited.toString(), payout, 'Policy should have the credited payout')
+  })
+
+  it('(policies) buying another policy keeps the credited balance', async () => {
+    // ACT
+    await buy(passenger, later, secondPremium)
+    const balance = await dataCall('getPassengerBalance', passenger)
+    const count = await dataCall('getPassengerPolicyCount', passenger)
+    const policy = await dataCall('getPassengerPolicy', passenger, 1)
+
+    // ASSERT
+    assert.equal(balance.toString(), payout, 'Credited payout should survive the purchase')
+    assert.equal(Number(count), 2, 'Passenger should have both policies')
+    assert.equal(policy.flightKey, later.flightKey, 'Second policy should cover the later flight')
+    assert.equal(policy.credited.toString(), '0', 'Second policy should not be credited')
+    await expectRevert(dataCall('getPassengerPolicy', passenger, 2), 'Policy index out of range')
+  })
+
+  it('(policies) policies stay readable while the contracts are paused', async () => {
+    // ACT
+    await data.setOperatingStatus(false)
+    const count = await dataCall('getPassengerPolicyCount', passenger)
+    const hasPolicies = await dataCall('hasPolicies', passenger)
+    await data.setOperatingStatus(true)
+
+    // ASSERT
+    assert.equal(Number(count), 2, 'Policies should be listed while paused')
+    assert.equal(hasPolicies, true, 'Passenger should have policies while paused')
+  })
+
+  it('(policies) address which never bought insurance has no policies', async () => {
+    // ACT
+    const hasPolicies = await dataCall('hasPolicies', accounts[8])
+
+    // ASSERT
+    assert.equal(hasPolicies, false, 'Address should have no policies')
+    await expectRevert(dataCall('getPassengerBalance', accounts[8]), 'Callis is not passenger')
+  })
+})
@@ -0,0 +1,194 @@
+const Test = require('../config/testConfig.js')
+const {trackGas} = require('../config/gasReporter.js')
+const {STATUS_CODE_ON_TIME, STATUS_CODE_LATE_AIRLINE, OracleHarness, expectRevert} = require('../config/oracleHarness.js')
+
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+// Same as CREDIT_BATCH_SIZE in FlightSuretyApp
+const CREDIT_BATCH_SIZE = 10
+
+const premium = web3.utils.toWei('0.5', 'ether')
+const payout = web3.utils.toWei('0.75', 'ether')
+
+contract('Flight Surety Settlement Tests', async (accounts) => {
+  let config
+  let contractAddress
+  let airlineAddress
+  let harness
+  const timestamp = Math.floor(Date.now() / 1000)
+  const flights = {
+    delayed: {flightCode: 'ND1309', passengers: accounts.slice(6, 9)},
+    onTime: {flightCode: 'ND1310', passengers: accounts.slice(9, 10)},
+    crowded: {flightCode: 'ND1311', passengers: accounts.slice(10, 12).concat(accounts.slice(40, 50))},
+  }
+  // departs tomorrow, the dapp asks the oracles about it with the timestamp it was registered with
+  const scheduled = {flightCode: 'ND1312', timestamp: timestamp + 24 * 60 * 60, passengers: accounts.slice(12, 14)}
+
+  const getBalance = passenger => config.flightSuretyData.getPassengerBalance(passenger, {from: contractAddress})
+
+  // ask the oracles until enough of them match the request index, then answer until consensus
+  const resolveFlightStatus = async (flightCode, statusCode) => {
+    const {fromBlock} = await harness.resolve({airline: airlineAddress, flightCode, timestamp}, statusCode)
+    return fromBlock
+  }
+
+  before('setup contract', async () => {
+    config = trackGas(await Test.Config(accounts), 'settlement')
+    harness = new OracleHarness(config)
+    contractAddress = config.flightSuretyApp.address
+    airlineAddress = config.firstAirline
+    await config.flightSuretyData.authorizeContracts(contractAddress)
+    await config.flightSuretyApp.payFunding({from: airlineAddress, value: web3.utils.toWei('10', 'ether')})
+    // covers the 50% on top of the premiums
+    await config.flightSuretyApp.addInsuranceBalance(web3.utils.toWei('10', 'ether'), {from: airlineAddress, value: web3.utils.toWei('10', 'ether')})
+
+    await Promise.all(Object.keys(flights).map(async (name) => {
+      const {flightCode, passengers} = flights[name]
+      await config.flightSuretyApp.registerFlight(flightCode, timestamp, {from: airlineAddress})
+      await Promise.all(passengers.map(passenger => config.flightSuretyApp.buyInsurance(
+        passenger, airlineAddress, flightCode, timestamp, premium, {from: passenger, value: premium},
+      )))
+    }))
+    await config.flightSuretyApp.registerFlight(scheduled.flightCode, scheduled.timestamp, {from: airlineAddress})
+    await Promise.all(scheduled.passengers.map(passenger => config.flightSuretyApp.buyInsurance(
+      passenger, airlineAddress, scheduled.flightCode, scheduled.timestamp, premium, {from: passenger, value: premium},
+    )))
+
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+  })
+
+  it('(settlement) oracle consensus on an airline delay writes the status and credits every insuree', async () => {
+    // ARRANGE
+    const {flightCode, passengers} = flights.delayed
+    const insuranceBalanceBefore = await config.flightSuretyData.checkInsuranceBalance({from: contractAddress})
+
+    // ACT
+    const fromBlock = await resolveFlightStatus(flightCode, STATUS_CODE_LATE_AIRLINE)
+    const flightStatus = await config.flightSuretyData.getFlightStatus(airlineAddress, flightCode, timestamp, {from: contractAddress})
+    const balances = await Promise.all(passengers.map(getBalance))
+    const creditedEvents = await config.flightSuretyData.getPastEvents('InsureeCredited', {fromBlock})
+    const insuranceBalanceAfter = await config.flightSuretyData.checkInsuranceBalance({from: contractAddress})
+
+    // ASSERT
+    assert.equal(flightStatus, STATUS_CODE_LATE_AIRLINE, 'Verified status should be written to the flight')
+    balances.forEach(balance => assert.equal(balance.toString(), payout, 'Insuree should be credited 1.5 times the premium'))
+    assert.deepEqual(creditedEvents.map(event => event.returnValues.passenger).sort(), [...passengers].sort(), 'InsureeCredited should be emitted for every insuree')
+    assert.equal(
+      web3.utils.toBN(insuranceBalanceBefore).sub(web3.utils.toBN(insuranceBalanceAfter)).toString(),
+      web3.utils.toBN(payout).muln(passengers.length).toString(),
+      'Payouts should be taken from the insurance balance',
+    )
+  })
+
+  it('(settlement) passenger cannot claim a payout which was credited automatically', async () => {
+    // ARRANGE
+    const {flightCode, passengers: [passenger]} = flights.delayed
+    let reverted = false
+
+    // ACT
+    try {
+      await config.flightSuretyApp.insurancePayout(airlineAddress, flightCode, timestamp, {from: passenger})
+    } catch (e) {
+      reverted = true
+    }
+    const balance = await getBalance(passenger)
+
+    // ASSERT
+    assert.equal(reverted, true, 'Payout should not be claimed twice')
+    assert.equal(balance.toString(), payout, 'Balance should only be credited once')
+  })
+
+  it('(settlement) oracle consensus on an on time flight credits nobody', async () => {
+    // ARRANGE
+    const {flightCode, passengers: [passenger]} = flights.onTime
+
+    // ACT
+    await resolveFlightStatus(flightCode, STATUS_CODE_ON_TIME)
+    const flightStatus = await config.flightSuretyData.getFlightStatus(airlineAddress, flightCode, timestamp, {from: contractAddress})
+    const balance = await getBalance(passenger)
+
+    // ASSERT
+    assert.equal(flightStatus, STATUS_CODE_ON_TIME, 'Verified status should be written to the flight')
+    assert.equal(balance.toString(), '0', 'On time flight should not pay out')
+  })
+
+  it('(settlement) insurees beyond the first batch are credited by creditInsurees', async () => {
+    // ARRANGE
+    const {flightCode, passengers} = flights.crowded
+
+    // ACT
+    await resolveFlightStatus(flightCode, STATUS_CODE_LATE_AIRLINE)
+    const uncreditedAfterConsensus = await config.flightSuretyApp.getUncreditedInsureeCount(airlineAddress, flightCode, timestamp)
+    const balancesAfterConsensus = await Promise.all(passengers.map(getBalance))
+    await config.flightSuretyApp.creditInsurees(airlineAddress, flightCode, timestamp)
+    const uncreditedAfterBatch = await config.flightSuretyApp.getUncreditedInsureeCount(airlineAddress, flightCode, timestamp)
+    const balancesAfterBatch = await Promise.all(passengers.map(getBalance))
+
+    // ASSERT
+    assert.equal(uncreditedAfterConsensus, passengers.length - CREDIT_BATCH_SIZE, 'Only one batch should be credited by the oracle response')
+    assert.equal(balancesAfterConsensus.filter(balance => balance.toString() === payout).length, CREDIT_BATCH_SIZE, 'First batch should be credited')
+    assert.equal(uncreditedAfterBatch, 0, 'Every insuree should be credited')
+    balancesAfterBatch.forEach(balance => assert.equal(balance.toString(), payout, 'Insuree should be credited 1.5 times the premium'))
+  })
+
+  it('(settlement) cannot credit insurees of a flight which is not delayed by the airline', async () => {
+    // ARRANGE
+    const {flightCode} = flights.onTime
+
+    // ASSERT
+    await expectRevert(config.flightSuretyApp.creditInsurees(airlineAddress, flightCode, timestamp), 'Flight status does not allow a payout')
+  })
+
+  it('(settlement) oracle consensus on an unregistered flight is accepted without settlement', async () => {
+    // ARRANGE
+    const flightCode = 'XX0000'
+
+    // ACT
+    const fromBlock = await resolveFlightStatus(flightCode, STATUS_CODE_LATE_AIRLINE)
+    const [statusEvent] = await config.flightSuretyApp.getPastEvents('FlightStatusInfo', {fromBlock})
+
+    // ASSERT
+    assert.equal(statusEvent.returnValues.flight, flightCode, 'FlightStatusInfo should be emitted')
+  })
+
+  it('(settlement) oracle request keyed by the flight the dapp reads from FlightRegistered settles its policies', async () => {
+    // ARRANGE
+    // same lookup as getAirlineFlights in the dapp
+    const registered = await config.flightSuretyData.getPastEvents('FlightRegistered', {fromBlock: 0})
+    const flight = registered
+      .map(event => event.returnValues)
+      .filter(values => values.airline.toLowerCase() === airlineAddress.toLowerCase() && values.flightCode === scheduled.flightCode)
+      .map(values => ({airline: values.airline, flightCode: values.flightCode, timestamp: Number(values.timestamp)}))[0]
+
+    // ACT
+    const {fromBlock} = await harness.resolve(flight, STATUS_CODE_LATE_AIRLINE)
+    const requestEvent = (await config.flightSuretyApp.getPastEvents('OracleRequest', {fromBlock}))
+      .find(event => event.returnValues.flight === scheduled.flightCode)
+    const balances = await Promise.all(scheduled.passengers.map(getBalance))
+
+    // ASSERT
+    assert.equal(Number(requestEvent.returnValues.timestamp), scheduled.timestamp, 'OracleRequest should have the registered timestamp')
+    await harness.assertFlightStatus(flight, STATUS_CODE_LATE_AIRLINE)
+    balances.forEach(balance => assert.equal(balance.toString(), payout, 'Insuree should be credited 1.5 times the premium'))
+  })
+
+  it('(settlement) settled flight cannot be requested again', async () => {
+    // ARRANGE
+    const {flightCode, passengers} = flights.delayed
+    const flight = {airline: airlineAddress, flightCode, timestamp}
+    const balancesBefore = await Promise.all(passengers.map(getBalance))
+
+    // ACT
+    await expectRevert(config.flightSuretyApp.fetchFlightStatus(airlineAddress, flightCode, timestamp), 'Flight status is already verified')
+    await expectRevert(
+      config.flightSuretyApp.fetchFlightStatus(airlineAddress, flights.onTime.flightCode, timestamp),
+      'Flight status is already verified',
+    )
+    const balancesAfter = await Promise.all(passengers.map(getBalance))
+
+    // ASSERT
+    await harness.assertFlightStatus(flight, STATUS_CODE_LATE_AIRLINE)
+    await harness.assertFlightStatus({...flight, flightCode: flights.onTime.flightCode}, STATUS_CODE_ON_TIME)
+    balancesAfter.forEach((balance, i) => assert.equal(balance.toString(), balancesBefore[i].toString(), 'Insuree balance should not change'))
+  })
+})
@@ -0,0 +1,156 @@
+const FlightSuretyApp = artifacts.require('FlightSuretyApp')
+const Test = require('../config/testConfig.js')
+const {upgradeApp} = require('../config/upgradeApp.js')
+const {OracleHarness, expectRevert} = require('../config/oracleHarness.js')
+
+const STATUS_CODE_LATE_AIRLINE = 20
+const STATUS_CODE_LATE_WEATHER = 30
+const STATUS_CODE_LATE_TECHNICAL = 40
+const STATUS_CODE_LATE_OTHER = 50
+const ORACLE_REQUEST_TIMEOUT = 7
+const ORACLE_ACCOUNT_OFFSET = 20
+const ORACLE_COUNT = 20
+
+const premium = web3.utils.toWei('1', 'ether')
+const payout = web3.utils.toWei('1.5', 'ether')
+
+contract('Flight Surety Upgrade Tests', async (accounts) => {
+  let config
+  let oldApp
+  let newApp
+  const [owner, firstAirline, secondAirline, passenger] = accounts
+  const flight = {flightCode: 'UP0001', timestamp: Math.floor(Date.now() / 1000)}
+
+  const deployApp = dataAddress => FlightSuretyApp.new(dataAddress)
+
+  before('setup contract and state of the old app', async () => {
+    config = await Test.Config(accounts)
+    oldApp = config.flightSuretyApp
+    await config.flightSuretyData.authorizeContracts(oldApp.address)
+    await oldApp.setOracleRequestTimeout(ORACLE_REQUEST_TIMEOUT)
+    await oldApp.setPayoutRate(STATUS_CODE_LATE_WEATHER, 50)
+    await oldApp.setPayoutRate(STATUS_CODE_LATE_TECHNICAL, 75)
+
+    await oldApp.payFunding({from: firstAirline, value: web3.utils.toWei('10', 'ether')})
+    await oldApp.registerAirline(secondAirline, {from: firstAirline})
+    await oldApp.addInsuranceBalance(web3.utils.toWei('5', 'ether'), {from: firstAirline, value: web3.utils.toWei('5', 'ether')})
+    await oldApp.registerFlight(flight.flightCode, flight.timestamp, {from: firstAirline})
+    await oldApp.buyInsurance(passenger, firstAirline, flight.flightCode, flight.timestamp, premium, {from: passenger, value: premium})
+
+    // the oracles settle the flight, then withdraw their stakes so the app can be upgraded
+    const harness = new OracleHarness(config)
+    await harness.register(accounts.slice(ORACLE_ACCOUNT_OFFSET, ORACLE_ACCOUNT_OFFSET + ORACLE_COUNT))
+    await harness.resolve({airline: firstAirline, ...flight}, STATUS_CODE_LATE_AIRLINE)
+    await harness.unregister()
+  })
+
+  it('(upgrade) new app is authorized and the old app is revoked', async () => {
+    // ACT
+    newApp = await upgradeApp({flightSuretyData: config.flightSuretyData, oldApp, deployApp})
+
+    // ASSERT
+    assert.equal(await config.flightSuretyData.isAuthorizeContracts(newApp.address), true, 'New app should be authorized')
+    assert.equal(await config.flightSuretyData.isAuthorizeContracts(oldApp.address), false, 'Old app should be revoked')
+    await expectRevert(oldApp.getAirlineStatus(firstAirline), 'Is not authorize contract')
+  })
+
+  it('(upgrade) airlines, flights and insurances survive the upgrade', async () => {
+    // ACT
+    const firstAirlineStatus = await newApp.getAirlineStatus(firstAirline)
+    const secondAirlineStatus = await newApp.getAirlineStatus(secondAirline)
+    const insuranceAmount = await newApp.checkInsuranceAmount(firstAirline, flight.flightCode, flight.timestamp, {from: passenger})
+    const flightStatus = await config.flightSuretyData.getFlightStatus(firstAirline, flight.flightCode, flight.timestamp, {from: newApp.address})
+    const insuranceBalance = await config.flightSuretyData.checkInsuranceBalance({from: newApp.address})
+
+    // ASSERT
+    assert.equal(firstAirlineStatus.isRegistered, true, 'First airline should stay registered')
+    assert.equal(firstAirlineStatus.hasPaidFund, true, 'First airline should stay funded')
+    assert.equal(secondAirlineStatus.isRegistered, true, 'Second airline should stay registered')
+    assert.equal(insuranceAmount.toString(), premium, 'Insurance should be kept')
+    assert.equal(Number(flightStatus), STATUS_CODE_LATE_AIRLINE, 'Flight status should be kept')
+    assert.equal(insuranceBalance.toString(), web3.utils.toBN(premium).add(web3.utils.toBN(web3.utils.toWei('5', 'ether'))).sub(web3.utils.toBN(payout)).toString(), 'Insurance balance should be kept')
+  })
+
+  it('(upgrade) new app carries over the oracle request timeout', async () => {
+    // ACT
+    const timeout = await newApp.getOracleRequestTimeout()
+
+    // ASSERT
+    assert.equal(Number(timeout), ORACLE_REQUEST_TIMEOUT, 'Oracle request timeout should be carried over')
+  })
+
+  it('(upgrade) new app carries over the payout rates', async () => {
+    // ACT
+    const rates = await Promise.all([STATUS_CODE_LATE_AIRLINE, STATUS_CODE_LATE_WEATHER, STATUS_CODE_LATE_TECHNICAL, STATUS_CODE_LATE_OTHER]
+      .map(statusCode => newApp.getPayoutRate(statusCode)))
+
+    // ASSERT
+    assert.deepEqual(rates.map(Number), [150, 50, 75, 0], 'Payout rates should be carried over')
+  })
+
+  it('(upgrade) passenger withdraws the payout credited through the old app', async () => {
+    // ACT
+    const balance = await config.flightSuretyData.getPassengerBalance(passenger, {from: newApp.address})
+    await newApp.withdrawPassengerBalance(payout, {from: passenger})
+    const balanceAfter = await config.flightSuretyData.getPassengerBalance(passenger, {from: newApp.address})
+
+    // ASSERT
+    assert.equal(balance.toString(), payout, 'Passenger credit should survive the upgrade')
+    assert.equal(balanceAfter.toString(), '0', 'Passenger should withdraw through the new app')
+  })
+
+  it('(upgrade) failed smoke test keeps the current app authorized', async () => {
+    // ARRANGE
+    await config.flightSuretyData.setOperatingStatus(false, {from: owner})
+    let rejectedApp
+    let upgradeError
+
+    // ACT
+    try {
+      await upgradeApp({
+        flightSuretyData: config.flightSuretyData,
+        oldApp: newApp,
+        deployApp: async (dataAddress) => {
+          rejectedApp = await deployApp(dataAddress)
+          return rejectedApp
+        },
+      })
+    } catch (e) {
+      upgradeError = e
+    }
+    await config.flightSuretyData.setOperatingStatus(true, {from: owner})
+
+    // ASSERT
+    assert.include(upgradeError && upgradeError.message, 'failed the smoke test', 'Upgrade should fail the smoke test')
+    assert.equal(await config.flightSuretyData.isAuthorizeContracts(rejectedApp.address), false, 'Rejected app should be revoked')
+    assert.equal(await config.flightSuretyData.isAuthorizeContracts(newApp.address), true, 'Current app should stay authorized')
+  })
+
+  it('(upgrade) upgrade is refused while oracles hold a stake in the current app', async () => {
+    // ARRANGE
+    const oracle = accounts[20]
+    await newApp.registerOracle({from: oracle, value: await newApp.REGISTRATION_FEE.call()})
+    let deployed = false
+    let upgradeError
+
+    // ACT
+    try {
+      await upgradeApp({
+        flightSuretyData: config.flightSuretyData,
+        oldApp: newApp,
+        deployApp: (dataAddress) => {
+          deployed = true
+          return deployApp(dataAddress)
+        },
+      })
+    } catch (e) {
+      upgradeError = e
+    }
+    await newApp.unregisterOracle({from: oracle})
+
+    // ASSERT
+    assert.include(upgradeError && upgradeError.message, '1 oracles are still registered', 'Upgrade should wait for the oracles to unregister')
+    assert.equal(deployed, false, 'No app should be deployed')
+    assert.equal(Number(await newApp.getRegisteredOracleCount()), 0, 'Unregistered oracle should not be counted')
+  })
+})
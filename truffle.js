@@ -16,6 +16,13 @@ module.exports = {
   compilers: {
     solc: {
       version: '^0.4.25',
+      // the data contract is over the 24576 bytes contract size limit without it
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 200,
+        },
+      },
     },
   },
 }
@@ -1,4 +1,5 @@
 const path = require("path");
+const webpack = require("webpack");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 
 module.exports = {
@@ -32,6 +33,10 @@ module.exports = {
     ]
   },
   plugins: [
+    new webpack.DefinePlugin({
+      "process.env.NETWORK": JSON.stringify(process.env.NETWORK || ""),
+      "process.env.SERVER_URL": JSON.stringify(process.env.SERVER_URL || "")
+    }),
     new HtmlWebpackPlugin({ 
       template: path.join(__dirname, "src/dapp/index.html")
     })